@@ -7,7 +7,115 @@ export const CONFIG = {
     plantIdentify: '/.netlify/functions/plant-identify',
     plantNetIdentify: '/.netlify/functions/plantnet-identify', // Fallback
     weather: '/.netlify/functions/weather',
-    airQuality: '/.netlify/functions/air-quality'
+    forecast: '/.netlify/functions/forecast',
+    airQuality: '/.netlify/functions/air-quality',
+    plantCare: '/.netlify/functions/plant-care',
+    plantHealth: '/.netlify/functions/plant-health'
+  },
+
+  // Plant identification
+  identification: {
+    autoConfirmScore: 0.7      // Below this, the user must confirm or pick a candidate before pendants
+  },
+
+  // On-device species classifier, used only when both identification APIs fail
+  offlineClassifier: {
+    enabled: false,            // No model is bundled; enable once one is deployed at modelUrl
+    modelUrl: '/models/houseplants/model.json',   // TF.js graph model, loaded on the first fallback
+    labelsUrl: '/models/houseplants/labels.json', // Species for each model output
+    inputSize: 224,
+    topK: 5
+  },
+
+  // Automatic plant detection
+  scanner: {
+    enabled: false,            // Scan as soon as AR starts (toggle with the auto-scan button)
+    intervalMs: 1000,          // Time between frame samples
+    sampleWidth: 64,           // Width of the downscaled sample frame
+    minVegetation: 0.15,       // Fraction of the sample that must look like vegetation
+    maxMotion: 0.04,           // Mean luminance change between samples that still counts as steady
+    stableSamples: 3,          // Consecutive steady samples before identifying
+    minSceneChange: 0.12,      // Required difference from the last identified view
+    maxRequests: 3,            // Plant.id requests automatic scans may make (a health check is one more)...
+    budgetWindowMs: 86400000   // ...per day, kept across reloads (Plant.id's free tier is 100 a month)
+  },
+
+  // Toast notifications
+  toast: {
+    durationMs: 6000
+  },
+
+  // Plant segmentation for pendant cutouts
+  segmentation: {
+    useModel: true,            // DeepLab PASCAL labels; false uses the color index only
+    plantClass: 16,            // PASCAL VOC "potted plant"
+    plantClassConfidence: 0.6, // Floor for potted-plant pixels that aren't green (flowers, stems)
+    exgThreshold: 0.05,        // Excess Green below this scores 0
+    exgRange: 0.15,            // ...and reaches 1 this far above the threshold
+    minBrightness: 20,         // Ignore near-black pixels (mean RGB)
+    maskThreshold: 0.5,        // Confidence needed to show a pixel in the cutout
+    minCoverage: 0.02,         // Below this fraction of the frame, skip the cutout
+    maxSize: 513               // Analysis size without the model (DeepLab's input size)
+  },
+
+  // On-device storage (IndexedDB, see js/idb-store.js)
+  storage: {
+    dbName: 'plant-ar'
+  },
+
+  // Saved plant collection
+  herbarium: {
+    thumbnailSize: 160         // Longest side of gallery thumbnails
+  },
+
+  // Pre-upload checks for identification photos
+  frameQuality: {
+    analysisSize: 320,         // Longest side used for blur/exposure scoring
+    minSharpness: 40,          // Variance of the Laplacian below this is blurry
+    minBrightness: 40,         // Mean luminance (0-255)
+    maxBrightness: 220,
+    maxClipped: 0.3,           // Fraction of pure black/white pixels allowed
+    cropPadding: 0.1,          // Padding around the plant box, per side, relative to its size
+    minCropFraction: 0.3,      // Crop at least this much of each frame dimension
+    maxDimension: 1024,        // Longest side of the uploaded photo
+    jpegQuality: 0.85
+  },
+
+  // Plant health assessment
+  health: {
+    minIssueProbability: 0.1   // Hide less likely problems in the plant panel
+  },
+
+  // Plant vs. outdoor conditions
+  suitability: {
+    temperatureMargin: 3,      // °C inside the care range that already counts as borderline
+    lookaheadHours: 12,        // Forecast window checked for cold snaps
+    minHumidity: {             // Relative humidity (%) each care humidity level wants
+      low: 20,
+      medium: 40,
+      high: 60
+    },
+    aqiCaution: 101,           // US AQI "unhealthy for sensitive groups"
+    aqiPoor: 151,              // US AQI "unhealthy"
+    colors: {
+      good: '#00ff88',
+      caution: '#ffb300',
+      poor: '#ff3d00'
+    }
+  },
+
+  // Multi-photo plant identification
+  capture: {
+    maxImages: 5,              // Plant.id and PlantNet limit per identification
+    // cropToPlant: the shot must show green vegetation and is cropped to it. Flowers, fruit and
+    // bark are often not green, so those are sent whole
+    organs: [
+      { id: 'leaf', label: 'Leaf', icon: 'eco', cropToPlant: true },
+      { id: 'flower', label: 'Flower', icon: 'local_florist', cropToPlant: false },
+      { id: 'fruit', label: 'Fruit', icon: 'nutrition', cropToPlant: false },
+      { id: 'bark', label: 'Bark', icon: 'forest', cropToPlant: false },
+      { id: 'habit', label: 'Whole plant', icon: 'potted_plant', cropToPlant: true }
+    ]
   },
 
   // Visual mapping for environmental data
@@ -35,6 +143,12 @@ export const CONFIG = {
     }
   },
 
+  // Forecast orb strand
+  forecast: {
+    hours: 24,                 // How far ahead the strand reaches
+    strandSpacing: 0.05        // meters between consecutive orbs
+  },
+
   temperature: {
     // Animation speed mapping (normalized 0-1)
     minTemp: -20,  // °C
@@ -45,20 +159,90 @@ export const CONFIG = {
 
   // Hand gesture sensitivity
   gestures: {
-    pinchThreshold: 0.05,      // Distance threshold for pinch detection
-    openHandThreshold: 0.85,   // Confidence threshold for open hand
-    cooldownMs: 200,           // Cooldown between gesture triggers (reduced for better responsiveness)
-    fistPinchExclusion: 0.1    // Distance to exclude fist if pinch-like
+    maxHands: 2,               // Hands tracked at once
+    mirroredInput: false,      // True for a front (selfie) camera; MediaPipe's Left/Right labels assume mirroring
+    // One Euro landmark smoothing: minCutoff (Hz) sets smoothing at rest, beta how fast it relaxes with speed
+    smoothing: { minCutoff: 1.5, beta: 10, dCutoff: 1.0 },
+    // Finger shape from joint angles: total bend from knuckle to tip, in degrees. angleMargin is the
+    // clearance needed to enter a gesture (and the slack allowed to stay in it)
+    fingers: { extendedMaxDeg: 60, curledMinDeg: 130, angleMargin: 10 },
+    // Thumb tip distance out past the index knuckle towards the thumb side, in palm lengths
+    thumb: { extendedReach: 0.35, tuckedReach: 0.15, reachMargin: 0.05 },
+    releaseMs: 100,            // A gesture ends once it hasn't been seen for this long
+    twoHandHoldMs: 400,        // Minimum hold for one-hand gestures while both hands are in view
+    pinchExclusion: 0.1,       // Thumb-index distance below which fist and peace are ruled out (pinch-like)
+    // Per gesture: hold time before 'start', and minimum gap after 'end' before it can start again
+    pinch: { enterDistance: 0.05, exitDistance: 0.07, holdMs: 60, cooldownMs: 300 },
+    peace: { holdMs: 400, cooldownMs: 1000 },   // Long hold: peace clears everything
+    openHand: { holdMs: 150, cooldownMs: 500 },
+    fist: { holdMs: 250, cooldownMs: 500 },
+    // Two-hand gestures
+    spread: { holdMs: 60, cooldownMs: 0 },      // Both hands pinching; moving them apart scales the bracelet
+    palmsTogether: { enterDistance: 0.12, exitDistance: 0.16, holdMs: 300, cooldownMs: 1000 },   // Merges orbs
+    braceletScale: { min: 0.5, max: 3 }
+  },
+
+  // User-trained gestures (k-nearest neighbours over hand-local landmarks, see js/gesture-classifier.js)
+  customGestures: {
+    k: 3,                      // Samples that vote on each pose
+    enterDistance: 0.06,       // Mean landmark distance to the nearest sample (palm lengths) to start
+    exitDistance: 0.08,        // ...and to keep going
+    holdMs: 250,
+    cooldownMs: 800,
+    sampleCount: 8,            // Samples recorded per training run
+    sampleIntervalMs: 250,     // Time between samples; move the hand a little between them
+    countdownMs: 3000          // Time to get into the pose before recording starts
+  },
+
+  // Gesture -> action bindings (actions are registered in js/main.js); users can rebind in the Gestures panel
+  gestureBindings: {
+    defaults: {
+      pinch: 'createOrb',
+      openHand: 'pendantOrBracelet',
+      peace: 'clear',
+      fist: null,              // Unbound
+      palmsTogether: 'mergeOrbs'
+    }
   },
 
   // Performance settings
   performance: {
     maxOrbs: 10,
     maxPendants: 5,
-    cacheTimeout: 300000,      // 5 minutes
     handTrackingFPS: 30
   },
 
+  // Development input sources (see js/camera-source.js)
+  inputSource: {
+    imageSequenceFps: 10       // Playback rate for image sequences
+  },
+
+  // Request timeouts and retries for Netlify Function calls
+  network: {
+    retryStatuses: [500, 502, 503, 504], // Provider errors (401, 404, 429) are passed through and not retried
+    backoffBaseMs: 500,        // First retry waits ~0.5s, doubling each time
+    backoffMaxMs: 4000,
+    profiles: {
+      default: { timeoutMs: 10000, retries: 2 },
+      // Slow uploads; each retry may cost quota, and a 500 may come after the provider already charged
+      identify: { timeoutMs: 30000, retries: 1, retryStatuses: [502, 503, 504] }
+    }
+  },
+
+  // Persistent API cache (stale-while-revalidate)
+  cache: {
+    coordinatePrecision: 2,    // Decimal places kept in cache keys (~1 km)
+    locationMaxAgeMs: 86400000, // Last-known location older than a day waits for a fresh fix
+    endpoints: {
+      // freshMs: served without refetching
+      // maxStaleMs: served instantly while refetching in the background; older entries are refetched first
+      weather: { freshMs: 600000, maxStaleMs: 21600000 },      // 10 minutes / 6 hours
+      forecast: { freshMs: 1800000, maxStaleMs: 10800000 },    // 30 minutes / 3 hours
+      airQuality: { freshMs: 1800000, maxStaleMs: 43200000 },  // 30 minutes / 12 hours
+      plantCare: { freshMs: 604800000, maxStaleMs: 2592000000 } // 7 days / 30 days
+    }
+  },
+
   // AR settings
   ar: {
     orbDistance: 0.5,          // meters from camera
@@ -2,34 +2,35 @@
 // NO API KEYS HERE - they are securely stored in Netlify environment variables
 
 import { CONFIG } from '../config.js';
+import { cacheStore } from './cache-store.js';
+import { httpClient, HTTPError } from './http-client.js';
+
+const LOCATION_CACHE_KEY = 'location_last_known';
 
 class APIService {
     constructor() {
-        this.cache = new Map();
         this.pendingRequests = new Map();
     }
 
     /**
-     * Identify a plant from an image
-     * @param {string} imageData - Base64 encoded image
+     * Identify a plant from one or more photos
+     * @param {Array<{imageData: string, organ: string}>} images - Base64 encoded photos tagged with organ
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
      * @returns {Promise<Object>} Plant identification results
      */
-    async identifyPlant(imageData) {
+    async identifyPlant(images, { signal } = {}) {
         try {
-            const response = await fetch(CONFIG.api.plantIdentify, {
+            return await httpClient.request(CONFIG.api.plantIdentify, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ imageData })
+                body: JSON.stringify({ images }),
+                signal,
+                profile: 'identify',
+                label: 'Plant identification'
             });
-
-            if (!response.ok) {
-                throw new Error(`Plant identification failed: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data;
         } catch (error) {
             console.error('Plant identification error:', error);
             throw error;
@@ -38,31 +39,54 @@ class APIService {
 
     /**
      * Identify a plant using PlantNet (Fallback)
-     * @param {string} imageData - Base64 encoded image
+     * @param {Array<{imageData: string, organ: string}>} images - Base64 encoded photos tagged with organ
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
      * @returns {Promise<Object>} Plant identification results
      */
-    async identifyPlantNet(imageData) {
+    async identifyPlantNet(images, { signal } = {}) {
         try {
-            const response = await fetch(CONFIG.api.plantNetIdentify, {
+            return await httpClient.request(CONFIG.api.plantNetIdentify, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ imageData })
+                body: JSON.stringify({ images }),
+                signal,
+                profile: 'identify',
+                label: 'PlantNet identification'
             });
-
-            if (!response.ok) {
-                throw new Error(`PlantNet identification failed: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data;
         } catch (error) {
             console.error('PlantNet identification error:', error);
             throw error;
         }
     }
 
+    /**
+     * Assess plant health (diseases, pests, abiotic problems) from one or more photos
+     * @param {Array<{imageData: string, organ: string}>} images - Base64 encoded photos
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Object>} Health assessment ({ provider, isHealthy, healthyProbability, issues })
+     */
+    async assessPlantHealth(images, { signal } = {}) {
+        try {
+            return await httpClient.request(CONFIG.api.plantHealth, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ images }),
+                signal,
+                profile: 'identify',
+                label: 'Plant health assessment'
+            });
+        } catch (error) {
+            console.error('Plant health assessment error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get weather data for a location
      * @param {number} lat - Latitude
@@ -70,83 +94,140 @@ class APIService {
      * @returns {Promise<Object>} Weather data
      */
     async getWeather(lat, lon) {
-        const cacheKey = `weather_${lat}_${lon}`;
-
-        // Check cache
-        if (this.isCacheValid(cacheKey)) {
-            return this.cache.get(cacheKey).data;
-        }
+        return this.getCachedLocationData('weather', CONFIG.api.weather, lat, lon, 'Weather API');
+    }
 
-        // Check if request is already pending
-        if (this.pendingRequests.has(cacheKey)) {
-            return this.pendingRequests.get(cacheKey);
-        }
+    /**
+     * Get forecast data for a location
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} hours - How far ahead to forecast
+     * @returns {Promise<{location: string, stepHours: number, entries: Array<Object>}>}
+     *   Time-ordered forecast steps, each shaped like getWeather() data plus a `time` (ms)
+     */
+    async getForecast(lat, lon, hours = CONFIG.forecast.hours) {
+        return this.getCachedLocationData('forecast', CONFIG.api.forecast, lat, lon, 'Forecast API', { hours });
+    }
 
-        try {
-            const requestPromise = fetch(
-                `${CONFIG.api.weather}?lat=${lat}&lon=${lon}`
-            ).then(async (response) => {
-                if (!response.ok) {
-                    throw new Error(`Weather API failed: ${response.status}`);
-                }
-                return response.json();
-            });
+    /**
+     * Get air quality data for a location
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Promise<Object>} Air quality data
+     */
+    async getAirQuality(lat, lon) {
+        return this.getCachedLocationData('airQuality', CONFIG.api.airQuality, lat, lon, 'Air Quality API');
+    }
 
-            this.pendingRequests.set(cacheKey, requestPromise);
-            const data = await requestPromise;
-            this.pendingRequests.delete(cacheKey);
+    /**
+     * Get the care profile for a plant species
+     * @param {string} scientificName
+     * @returns {Promise<Object|null>} Care profile (light, watering, humidity, temperature, toxicity),
+     *   or null if there is no profile for the species
+     */
+    async getPlantCare(scientificName) {
+        const name = scientificName.trim().toLowerCase();
+        const url = `${CONFIG.api.plantCare}?name=${encodeURIComponent(name)}`;
 
-            // Cache the result
-            this.setCache(cacheKey, data);
-            return data;
+        try {
+            return await this.getCachedData('plantCare', `plantCare_${name}`, url, 'Plant care API');
         } catch (error) {
-            this.pendingRequests.delete(cacheKey);
-            console.error('Weather API error:', error);
+            if (error instanceof HTTPError && error.status === 404) {
+                return null;
+            }
             throw error;
         }
     }
 
     /**
-     * Get air quality data for a location
+     * Get location-based data with stale-while-revalidate caching
+     * @param {string} endpoint - Key into CONFIG.cache.endpoints
+     * @param {string} url - Netlify Function endpoint
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
-     * @returns {Promise<Object>} Air quality data
+     * @param {string} label - Name used in error messages
+     * @param {Object} params - Extra query parameters, also part of the cache key
+     * @returns {Promise<Object>}
      */
-    async getAirQuality(lat, lon) {
-        const cacheKey = `airquality_${lat}_${lon}`;
+    async getCachedLocationData(endpoint, url, lat, lon, label, params = {}) {
+        const qLat = this.quantizeCoordinate(lat);
+        const qLon = this.quantizeCoordinate(lon);
+        const query = new URLSearchParams({ lat: qLat, lon: qLon, ...params });
+        const cacheKey = [endpoint, ...query.values()].join('_');
+
+        return this.getCachedData(endpoint, cacheKey, `${url}?${query}`, label);
+    }
+
+    /**
+     * Get data with stale-while-revalidate caching
+     * Fresh entries are returned as-is; stale entries are returned immediately
+     * while a background request refreshes them; expired entries are refetched.
+     * @param {string} endpoint - Key into CONFIG.cache.endpoints
+     * @param {string} cacheKey
+     * @param {string} url - Full request URL
+     * @param {string} label - Name used in error messages
+     * @returns {Promise<Object>}
+     */
+    async getCachedData(endpoint, cacheKey, url, label) {
+        const { freshMs, maxStaleMs } = CONFIG.cache.endpoints[endpoint];
+
+        const cached = await cacheStore.get(cacheKey);
+        const age = cached ? Date.now() - cached.timestamp : Infinity;
+
+        if (age < freshMs) {
+            return cached.data;
+        }
 
-        // Check cache
-        if (this.isCacheValid(cacheKey)) {
-            return this.cache.get(cacheKey).data;
+        const request = this.fetchAndCache(cacheKey, url, label, maxStaleMs);
+
+        if (age < maxStaleMs) {
+            // Serve last-known data now; the refresh lands in the cache for next time
+            request.catch(error => console.warn(`${label} background refresh failed:`, error));
+            return cached.data;
         }
 
+        return request;
+    }
+
+    /**
+     * Fetch JSON and store it in the cache, sharing in-flight requests per key
+     * @param {string} cacheKey
+     * @param {string} url
+     * @param {string} label - Name used in error messages
+     * @param {number} maxAgeMs - How long the cached response may be served
+     * @returns {Promise<Object>}
+     */
+    fetchAndCache(cacheKey, url, label, maxAgeMs) {
         // Check if request is already pending
         if (this.pendingRequests.has(cacheKey)) {
             return this.pendingRequests.get(cacheKey);
         }
 
-        try {
-            const requestPromise = fetch(
-                `${CONFIG.api.airQuality}?lat=${lat}&lon=${lon}`
-            ).then(async (response) => {
-                if (!response.ok) {
-                    throw new Error(`Air Quality API failed: ${response.status}`);
-                }
-                return response.json();
+        const requestPromise = httpClient.request(url, { label })
+            .then(async (data) => {
+                // Cache the result
+                await cacheStore.set(cacheKey, data, maxAgeMs);
+                return data;
+            })
+            .catch(error => {
+                console.error(`${label} error:`, error);
+                throw error;
+            })
+            .finally(() => {
+                this.pendingRequests.delete(cacheKey);
             });
 
-            this.pendingRequests.set(cacheKey, requestPromise);
-            const data = await requestPromise;
-            this.pendingRequests.delete(cacheKey);
+        this.pendingRequests.set(cacheKey, requestPromise);
+        return requestPromise;
+    }
 
-            // Cache the result
-            this.setCache(cacheKey, data);
-            return data;
-        } catch (error) {
-            this.pendingRequests.delete(cacheKey);
-            console.error('Air Quality API error:', error);
-            throw error;
-        }
+    /**
+     * Round a coordinate so nearby fixes share a cache entry
+     * @param {number} value - Latitude or longitude
+     * @returns {string}
+     */
+    quantizeCoordinate(value) {
+        return Number(value).toFixed(CONFIG.cache.coordinatePrecision);
     }
 
     /**
@@ -162,10 +243,12 @@ class APIService {
 
             navigator.geolocation.getCurrentPosition(
                 (position) => {
-                    resolve({
+                    const location = {
                         lat: position.coords.latitude,
                         lon: position.coords.longitude
-                    });
+                    };
+                    cacheStore.set(LOCATION_CACHE_KEY, location, CONFIG.cache.locationMaxAgeMs);
+                    resolve(location);
                 },
                 (error) => {
                     reject(error);
@@ -180,31 +263,35 @@ class APIService {
     }
 
     /**
-     * Set cache with timestamp
+     * Get the last known location immediately, refreshing it in the background
+     * Falls back to waiting for a fix when no location has been stored yet, or the stored one
+     * is older than CONFIG.cache.locationMaxAgeMs (the user may be somewhere else by now).
+     * @returns {Promise<{lat: number, lon: number}>}
      */
-    setCache(key, data) {
-        this.cache.set(key, {
-            data,
-            timestamp: Date.now()
-        });
+    async getLastKnownLocation() {
+        const cached = await cacheStore.get(LOCATION_CACHE_KEY);
+        const request = this.getCurrentLocation();
+
+        if (cached && Date.now() - cached.timestamp < CONFIG.cache.locationMaxAgeMs) {
+            request.catch(error => console.warn('Background location refresh failed:', error));
+            return cached.data;
+        }
+
+        return request;
     }
 
     /**
-     * Check if cache is valid
+     * Drop cached responses too old to serve
      */
-    isCacheValid(key) {
-        if (!this.cache.has(key)) return false;
-
-        const cached = this.cache.get(key);
-        const age = Date.now() - cached.timestamp;
-        return age < CONFIG.performance.cacheTimeout;
+    async pruneCache() {
+        await cacheStore.prune();
     }
 
     /**
      * Clear cache
      */
-    clearCache() {
-        this.cache.clear();
+    async clearCache() {
+        await cacheStore.clear();
     }
 }
 
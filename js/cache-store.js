@@ -0,0 +1,118 @@
+// Cache Store Module
+// Persistent key/value cache backed by IndexedDB, with an in-memory layer in front
+
+import { runRequest, forEachRecord } from './idb-store.js';
+
+const STORE_NAME = 'cache';
+
+class CacheStore {
+    constructor() {
+        this.memory = new Map();
+    }
+
+    /**
+     * Get a cache entry
+     * @param {string} key
+     * @returns {Promise<{data: *, timestamp: number}|null>}
+     */
+    async get(key) {
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+
+        try {
+            const entry = await runRequest(STORE_NAME, 'readonly', store => store.get(key));
+            if (entry) {
+                this.memory.set(key, entry);
+            }
+            return entry || null;
+        } catch (error) {
+            console.warn('Cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store data under a key with the current timestamp
+     * @param {string} key
+     * @param {*} data - Structured-cloneable data
+     * @param {number} maxAgeMs - How long the entry is worth keeping; prune() removes it after that
+     * @returns {Promise<Object>} Stored entry
+     */
+    async set(key, data, maxAgeMs) {
+        const timestamp = Date.now();
+        const entry = {
+            data,
+            timestamp,
+            expiresAt: timestamp + maxAgeMs
+        };
+
+        this.memory.set(key, entry);
+
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.put(entry, key));
+        } catch (error) {
+            console.warn('Cache write failed:', error);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Remove a cache entry
+     * @param {string} key
+     */
+    async delete(key) {
+        this.memory.delete(key);
+
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.delete(key));
+        } catch (error) {
+            console.warn('Cache delete failed:', error);
+        }
+    }
+
+    /**
+     * Remove expired entries, so responses for places and plants never seen again don't pile up
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune() {
+        const now = Date.now();
+        const isExpired = entry => !(entry.expiresAt > now);
+
+        this.memory.forEach((entry, key) => {
+            if (isExpired(entry)) this.memory.delete(key);
+        });
+
+        try {
+            // One transaction, so a set() can't land between reading an entry and deleting it
+            let removed = 0;
+            await forEachRecord(STORE_NAME, 'readwrite', cursor => {
+                if (isExpired(cursor.value)) {
+                    cursor.delete();
+                    removed++;
+                }
+            });
+            return removed;
+        } catch (error) {
+            console.warn('Cache prune failed:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Remove all cache entries
+     */
+    async clear() {
+        this.memory.clear();
+
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('Cache clear failed:', error);
+        }
+    }
+}
+
+// Export singleton instance
+export const cacheStore = new CacheStore();
@@ -0,0 +1,234 @@
+// Camera Source Module
+// Feeds the shared video element from the camera, a video file or an image sequence,
+// so hand tracking and plant detection can be reproduced from recorded clips
+
+import { CONFIG } from '../config.js';
+
+class CameraSource {
+    constructor() {
+        this.videoElement = null;
+        this.type = null; // 'camera' | 'video' | 'images'
+        this.stream = null;
+        this.objectUrls = [];
+        this.sequenceTimer = null;
+    }
+
+    /**
+     * Use a video element as the output for every source
+     * @param {HTMLVideoElement} videoElement
+     */
+    attach(videoElement) {
+        this.videoElement = videoElement;
+    }
+
+    /**
+     * @returns {boolean} True while a source is feeding the video element
+     */
+    isActive() {
+        return this.type !== null;
+    }
+
+    /**
+     * Start the source requested in the page URL, or the camera
+     * e.g. ?source=video&src=clips/pinch.mp4 or ?source=images&src=a.jpg,b.jpg&fps=5
+     * @param {string} search - location.search
+     */
+    async startFromUrl(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const source = params.get('source');
+        const src = params.get('src');
+
+        if (source === 'video' && src) {
+            return this.startVideo(src);
+        }
+
+        if (source === 'images' && src) {
+            const fps = Number(params.get('fps')) || CONFIG.inputSource.imageSequenceFps;
+            return this.startImageSequence(src.split(','), fps);
+        }
+
+        return this.startCamera();
+    }
+
+    /**
+     * Start the rear camera
+     */
+    async startCamera() {
+        console.log('Requesting camera permission...');
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                facingMode: 'environment',
+                width: { ideal: 1280 },
+                height: { ideal: 720 }
+            }
+        });
+
+        console.log('Camera permission granted, starting video...');
+        this.stop();
+        this.stream = stream;
+        this.videoElement.srcObject = stream;
+        await this.videoElement.play();
+
+        this.type = 'camera';
+        console.log('Camera started successfully');
+    }
+
+    /**
+     * Play a video file on loop
+     * @param {File|string} source - Local file or URL
+     */
+    async startVideo(source) {
+        const objectUrls = [];
+        const url = this.toUrl(source, objectUrls);
+
+        // Only swap sources once the file has decoded, so a bad file keeps the current source running
+        try {
+            await this.loadVideo(url);
+        } catch (error) {
+            objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+            throw error;
+        }
+
+        this.stop();
+        this.objectUrls = objectUrls;
+        this.videoElement.srcObject = null;
+        this.videoElement.src = url;
+        this.videoElement.loop = true;
+        this.videoElement.muted = true;
+        await this.videoElement.play();
+
+        this.type = 'video';
+        console.log(`Playing video source: ${typeof source === 'string' ? source : source.name}`);
+    }
+
+    /**
+     * Play still images in order, on loop, as a video stream
+     * @param {Array<File|string>} sources - Local files or URLs (files are sorted by name)
+     * @param {number} fps - Frames per second
+     */
+    async startImageSequence(sources, fps = CONFIG.inputSource.imageSequenceFps) {
+        if (sources.length === 0) {
+            throw new Error('Image sequence is empty');
+        }
+
+        const ordered = sources.every(source => source instanceof File)
+            ? [...sources].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+            : sources;
+        const objectUrls = [];
+        let images;
+        try {
+            images = await Promise.all(ordered.map(source => this.loadImage(this.toUrl(source, objectUrls))));
+        } finally {
+            // Decoded images don't need their object URLs, and a failed load shouldn't leak them
+            objectUrls.forEach(url => URL.revokeObjectURL(url));
+        }
+
+        // Only swap sources once every image has loaded, so a bad file keeps the current source running
+        this.stop();
+
+        // Frames are drawn onto a canvas whose stream becomes the video source
+        const canvas = document.createElement('canvas');
+        canvas.width = images[0].naturalWidth;
+        canvas.height = images[0].naturalHeight;
+        const ctx = canvas.getContext('2d');
+
+        let index = 0;
+        const drawFrame = () => {
+            ctx.drawImage(images[index], 0, 0, canvas.width, canvas.height);
+            index = (index + 1) % images.length;
+        };
+        drawFrame();
+        this.sequenceTimer = setInterval(drawFrame, 1000 / fps);
+
+        this.stream = canvas.captureStream(fps);
+        this.videoElement.srcObject = this.stream;
+        await this.videoElement.play();
+
+        this.type = 'images';
+        console.log(`Playing image sequence: ${images.length} frames at ${fps} fps`);
+    }
+
+    /**
+     * Stop the current source and release its resources
+     */
+    stop() {
+        if (this.sequenceTimer) {
+            clearInterval(this.sequenceTimer);
+            this.sequenceTimer = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        if (this.videoElement) {
+            this.videoElement.pause();
+            this.videoElement.srcObject = null;
+            this.videoElement.removeAttribute('src');
+            this.videoElement.loop = false;
+        }
+
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+        this.type = null;
+    }
+
+    /**
+     * Get a URL for a file or URL string
+     * @param {File|string} source
+     * @param {string[]} objectUrls - Object URLs created for files are added here, for the caller to revoke
+     * @returns {string}
+     */
+    toUrl(source, objectUrls) {
+        if (typeof source === 'string') return source;
+
+        const url = URL.createObjectURL(source);
+        objectUrls.push(url);
+        return url;
+    }
+
+    /**
+     * Check that a video loads and decodes, without touching the video element in use
+     * @param {string} src
+     * @returns {Promise<void>}
+     */
+    loadVideo(src) {
+        return new Promise((resolve, reject) => {
+            const probe = document.createElement('video');
+            const cleanUp = () => {
+                probe.removeAttribute('src');
+                probe.load();
+            };
+
+            probe.muted = true;
+            probe.preload = 'auto';
+            probe.onloadeddata = () => {
+                cleanUp();
+                resolve();
+            };
+            probe.onerror = () => {
+                cleanUp();
+                reject(new Error(`Failed to load video: ${src}`));
+            };
+            probe.src = src;
+        });
+    }
+
+    /**
+     * Load an image
+     * @param {string} src
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+            img.src = src;
+        });
+    }
+}
+
+// Export singleton instance
+export const cameraSource = new CameraSource();
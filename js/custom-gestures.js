@@ -0,0 +1,149 @@
+// Custom Gestures Module
+// User-trained hand poses: records samples from the live hand, keeps them in IndexedDB and
+// hands them to HandTracking, which fires '<id>:start' etc. like the built-in gestures
+
+import { CONFIG } from '../config.js';
+import { handTracking } from './hand-tracking.js';
+import { analyzeHand } from './hand-pose.js';
+import { getPoseFeatures } from './gesture-classifier.js';
+import { runRequest } from './idb-store.js';
+
+const STORE_NAME = 'gestures';
+
+// Sample features are rounded to keep the stored model small
+const PRECISION = 10000;
+
+class CustomGestures {
+    constructor() {
+        this.gestures = [];
+    }
+
+    /**
+     * Load saved gestures and start detecting them
+     * @returns {Promise<Array<Object>>} Gestures, oldest first
+     */
+    async load() {
+        try {
+            const entries = (await runRequest(STORE_NAME, 'readonly', store => store.getAll())) || [];
+            this.gestures = entries.sort((a, b) => a.createdAt - b.createdAt);
+        } catch (error) {
+            console.warn('Failed to read custom gestures:', error);
+        }
+
+        handTracking.setCustomGestures(this.gestures);
+        return this.gestures;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null} Gesture
+     */
+    get(id) {
+        return this.gestures.find(gesture => gesture.id === id) || null;
+    }
+
+    /**
+     * Save a new gesture
+     * @param {string} label - Name shown to the user
+     * @param {number[][]} samples - Pose features from recordSamples()
+     * @returns {Promise<Object>} Gesture ({ id, label, samples, createdAt }); its id is the event name
+     */
+    async create(label, samples) {
+        const gesture = {
+            id: `custom-${Date.now().toString(36)}`,
+            label,
+            samples,
+            createdAt: Date.now()
+        };
+
+        return this.save(gesture);
+    }
+
+    /**
+     * Add more samples to a gesture, e.g. the same pose from another angle
+     * @param {string} id
+     * @param {number[][]} samples
+     * @returns {Promise<Object|null>} Updated gesture
+     */
+    async addSamples(id, samples) {
+        const gesture = this.get(id);
+        if (!gesture) return null;
+
+        return this.save({ ...gesture, samples: [...gesture.samples, ...samples] });
+    }
+
+    /**
+     * Store a gesture and update detection
+     * @param {Object} gesture
+     * @returns {Promise<Object>}
+     */
+    async save(gesture) {
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.put(gesture));
+        } catch (error) {
+            console.warn('Failed to save custom gesture:', error);
+        }
+
+        const index = this.gestures.findIndex(other => other.id === gesture.id);
+        if (index > -1) {
+            this.gestures[index] = gesture;
+        } else {
+            this.gestures.push(gesture);
+        }
+
+        handTracking.setCustomGestures(this.gestures);
+        return gesture;
+    }
+
+    /**
+     * Delete a gesture
+     * @param {string} id
+     */
+    async delete(id) {
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.warn('Failed to delete custom gesture:', error);
+        }
+
+        this.gestures = this.gestures.filter(gesture => gesture.id !== id);
+        handTracking.setCustomGestures(this.gestures);
+    }
+
+    /**
+     * Record pose samples from whichever hand is in view
+     * Frames without a hand are skipped; gives up if no hand shows for a while
+     * @param {Function} onSample - Called with (recorded, total) after each sample
+     * @returns {Promise<number[][]>} Pose features
+     */
+    recordSamples(onSample = () => {}) {
+        const { sampleCount, sampleIntervalMs } = CONFIG.customGestures;
+        const maxAttempts = sampleCount * 4;
+        const samples = [];
+        let attempts = 0;
+
+        return new Promise((resolve, reject) => {
+            const timer = setInterval(() => {
+                attempts++;
+
+                const [hand] = handTracking.getTrackedHands();
+                if (hand) {
+                    const pose = analyzeHand(handTracking.getHandLandmarks(hand), hand, handTracking.aspectRatio);
+                    samples.push(getPoseFeatures(pose).map(value => Math.round(value * PRECISION) / PRECISION));
+                    onSample(samples.length, sampleCount);
+                }
+
+                if (samples.length === sampleCount) {
+                    clearInterval(timer);
+                    resolve(samples);
+                } else if (attempts >= maxAttempts) {
+                    clearInterval(timer);
+                    reject(new Error('Keep your hand in view while recording'));
+                }
+            }, sampleIntervalMs);
+        });
+    }
+}
+
+// Export singleton instance
+export const customGestures = new CustomGestures();
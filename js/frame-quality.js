@@ -0,0 +1,197 @@
+// Frame Quality Module
+// Pre-upload checks for identification photos: scores sharpness and exposure so bad
+// shots are retaken instead of spending API quota, and computes the crop around
+// the segmented plant.
+
+import { CONFIG } from '../config.js';
+
+// User-facing explanation for each rejection reason
+const REASON_MESSAGES = {
+    'no-plant': 'No plant found in the photo. Center the plant and retake.',
+    'blurry': 'The photo is blurry. Hold the camera steady and retake.',
+    'dark': 'The photo is too dark. Find more light and retake.',
+    'overexposed': 'The photo is overexposed. Avoid direct glare and retake.'
+};
+
+/**
+ * Thrown when a frame is not worth uploading
+ */
+export class FrameQualityError extends Error {
+    /**
+     * @param {string} reason - One of 'no-plant', 'blurry', 'dark', 'overexposed'
+     */
+    constructor(reason) {
+        super(REASON_MESSAGES[reason]);
+        this.name = 'FrameQualityError';
+        this.reason = reason;
+    }
+}
+
+class FrameQuality {
+    /**
+     * Score sharpness and exposure of a frame
+     * @param {HTMLCanvasElement} canvas - Frame (or crop) to assess
+     * @returns {{sharpness: number, brightness: number, clipped: number, reason: string|null}}
+     *   reason is null when the frame is good enough to upload
+     */
+    assess(canvas) {
+        const gray = this.toGrayscale(canvas);
+        const { width, height, data } = gray;
+        const { minSharpness, minBrightness, maxBrightness, maxClipped } = CONFIG.frameQuality;
+
+        let brightnessTotal = 0;
+        let clippedPixels = 0;
+        for (let i = 0; i < data.length; i++) {
+            brightnessTotal += data[i];
+            if (data[i] <= 5 || data[i] >= 250) clippedPixels++;
+        }
+
+        const brightness = brightnessTotal / data.length;
+        const clipped = clippedPixels / data.length;
+        const sharpness = this.laplacianVariance(data, width, height);
+
+        let reason = null;
+        if (brightness < minBrightness) {
+            reason = 'dark';
+        } else if (brightness > maxBrightness || clipped > maxClipped) {
+            reason = 'overexposed';
+        } else if (sharpness < minSharpness) {
+            reason = 'blurry';
+        }
+
+        return { sharpness, brightness, clipped, reason };
+    }
+
+    /**
+     * Downscale to the analysis size and convert to luminance (0-255)
+     * @returns {{width: number, height: number, data: Float32Array}}
+     */
+    toGrayscale(canvas) {
+        const scale = Math.min(1, CONFIG.frameQuality.analysisSize / Math.max(canvas.width, canvas.height));
+        const width = Math.max(3, Math.round(canvas.width * scale));
+        const height = Math.max(3, Math.round(canvas.height * scale));
+
+        const small = document.createElement('canvas');
+        small.width = width;
+        small.height = height;
+        const ctx = small.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(canvas, 0, 0, width, height);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+
+        const data = new Float32Array(width * height);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Variance of the Laplacian, a standard focus measure: low means few sharp edges
+     * @returns {number}
+     */
+    laplacianVariance(data, width, height) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const laplacian = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    }
+
+    /**
+     * Bounding box of the segmented plant in frame coordinates, padded for context
+     * @param {Object} segmentation - Result of PlantSegmenter.segment
+     * @param {number} frameWidth
+     * @param {number} frameHeight
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getCropBox(segmentation, frameWidth, frameHeight) {
+        const { confidence, width, height } = segmentation;
+        const threshold = CONFIG.segmentation.maskThreshold;
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (confidence[y * width + x] >= threshold) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+
+        const scaleX = frameWidth / width;
+        const scaleY = frameHeight / height;
+        const { cropPadding, minCropFraction } = CONFIG.frameQuality;
+
+        // Pad the box, and keep it large enough for the provider to see some context
+        let boxWidth = Math.max((maxX - minX + 1) * scaleX * (1 + 2 * cropPadding), frameWidth * minCropFraction);
+        let boxHeight = Math.max((maxY - minY + 1) * scaleY * (1 + 2 * cropPadding), frameHeight * minCropFraction);
+        boxWidth = Math.min(frameWidth, boxWidth);
+        boxHeight = Math.min(frameHeight, boxHeight);
+
+        const centerX = (minX + maxX + 1) / 2 * scaleX;
+        const centerY = (minY + maxY + 1) / 2 * scaleY;
+
+        return {
+            x: Math.round(Math.min(frameWidth - boxWidth, Math.max(0, centerX - boxWidth / 2))),
+            y: Math.round(Math.min(frameHeight - boxHeight, Math.max(0, centerY - boxHeight / 2))),
+            width: Math.round(boxWidth),
+            height: Math.round(boxHeight)
+        };
+    }
+
+    /**
+     * Crop a segmentation to the same frame region as the uploaded photo
+     * @param {Object} segmentation - Result of PlantSegmenter.segment
+     * @param {Object} box - Crop box in frame coordinates
+     * @param {number} frameWidth
+     * @param {number} frameHeight
+     * @returns {Object} Segmentation covering only the box
+     */
+    cropSegmentation(segmentation, box, frameWidth, frameHeight) {
+        const scaleX = segmentation.width / frameWidth;
+        const scaleY = segmentation.height / frameHeight;
+        const x = Math.floor(box.x * scaleX);
+        const y = Math.floor(box.y * scaleY);
+        const width = Math.max(1, Math.min(segmentation.width - x, Math.round(box.width * scaleX)));
+        const height = Math.max(1, Math.min(segmentation.height - y, Math.round(box.height * scaleY)));
+
+        const mask = document.createElement('canvas');
+        mask.width = width;
+        mask.height = height;
+        mask.getContext('2d').drawImage(segmentation.mask, x, y, width, height, 0, 0, width, height);
+
+        const confidence = new Float32Array(width * height);
+        for (let row = 0; row < height; row++) {
+            const start = (y + row) * segmentation.width + x;
+            confidence.set(segmentation.confidence.subarray(start, start + width), row * width);
+        }
+
+        return {
+            ...segmentation,
+            mask,
+            confidence,
+            width,
+            height
+        };
+    }
+}
+
+// Export singleton instance
+export const frameQuality = new FrameQuality();
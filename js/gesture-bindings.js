@@ -0,0 +1,131 @@
+// Gesture Bindings Module
+// Registry of app actions and the user's choice of which gesture triggers which action.
+// Bindings are kept in IndexedDB; gestures without a saved binding use CONFIG.gestureBindings.defaults.
+
+import { CONFIG } from '../config.js';
+import { handTracking } from './hand-tracking.js';
+import { runRequest } from './idb-store.js';
+
+const STORE_NAME = 'bindings';
+
+class GestureBindings {
+    constructor() {
+        this.actions = new Map();
+        this.saved = {};       // Gesture -> action name (or null for none), as chosen by the user
+        this.listeners = [];
+        this.paused = false;   // Set while training gestures, so recording a pose doesn't act on it
+    }
+
+    /**
+     * Make an action available for binding
+     * @param {string} name - Action name, stored in bindings
+     * @param {string} label - Name shown in settings
+     * @param {Function} handler - Receives (position, event) from the gesture that triggered it
+     */
+    registerAction(name, label, handler) {
+        this.actions.set(name, { name, label, handler });
+    }
+
+    /**
+     * @returns {Array<{name: string, label: string}>} Registered actions, in registration order
+     */
+    getActions() {
+        return [...this.actions.values()].map(({ name, label }) => ({ name, label }));
+    }
+
+    /**
+     * Load the saved bindings
+     */
+    async load() {
+        try {
+            const entries = (await runRequest(STORE_NAME, 'readonly', store => store.getAll())) || [];
+            this.saved = Object.fromEntries(entries.map(entry => [entry.gesture, entry.action]));
+        } catch (error) {
+            console.warn('Failed to read gesture bindings:', error);
+        }
+    }
+
+    /**
+     * @param {string} gesture
+     * @returns {string|null} Action bound to the gesture
+     */
+    getBinding(gesture) {
+        if (gesture in this.saved) return this.saved[gesture];
+        return CONFIG.gestureBindings.defaults[gesture] || null;
+    }
+
+    /**
+     * Bind a gesture to an action
+     * @param {string} gesture
+     * @param {string|null} action - Action name, or null for none
+     */
+    async setBinding(gesture, action) {
+        this.saved[gesture] = action;
+
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.put({ gesture, action }));
+        } catch (error) {
+            console.warn('Failed to save gesture binding:', error);
+        }
+    }
+
+    /**
+     * Forget a gesture's binding (e.g. a deleted custom gesture), so it falls back to its default
+     * @param {string} gesture
+     */
+    async removeBinding(gesture) {
+        delete this.saved[gesture];
+
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.delete(gesture));
+        } catch (error) {
+            console.warn('Failed to delete gesture binding:', error);
+        }
+    }
+
+    /**
+     * Restore the default bindings
+     */
+    async reset() {
+        this.saved = {};
+
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('Failed to reset gesture bindings:', error);
+        }
+    }
+
+    /**
+     * Act on these gestures from now on (replaces the previous set)
+     * @param {string[]} gestures - Gesture names, including custom gesture ids
+     */
+    listen(gestures) {
+        this.listeners.forEach(([event, listener]) => handTracking.off(event, listener));
+
+        this.listeners = gestures.map(gesture => {
+            const listener = (position, landmarks, event) => this.run(gesture, position, event);
+            handTracking.on(`${gesture}:start`, listener);
+            return [`${gesture}:start`, listener];
+        });
+    }
+
+    /**
+     * Run the action bound to a gesture
+     * @param {string} gesture
+     * @param {Object} position - Hand position
+     * @param {Object} event - Gesture event
+     */
+    run(gesture, position, event) {
+        if (this.paused) return;
+
+        const action = this.actions.get(this.getBinding(gesture));
+        if (!action) return;
+
+        console.log(`Gesture ${gesture} -> ${action.name}`);
+        action.handler(position, event);
+    }
+}
+
+// Export singleton instance
+export const gestureBindings = new GestureBindings();
@@ -0,0 +1,75 @@
+// Gesture Classifier Module
+// k-nearest-neighbour matching of hand poses against recorded samples, for user-trained gestures.
+// Has no DOM dependencies, so replays can run it headless.
+
+/**
+ * Feature vector for a hand pose: every landmark except the wrist, in the hand-local frame
+ * Positions are in palm lengths with the wrist at the origin, so a pose matches at any
+ * position, distance, rotation and with either hand
+ * @param {Object} pose - From analyzeHand()
+ * @returns {number[]} 60 values (x, y, z per landmark)
+ */
+export function getPoseFeatures(pose) {
+    return pose.local.slice(1).flatMap(point => [point.x, point.y, point.z]);
+}
+
+/**
+ * Mean distance between corresponding landmarks of two feature vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} In palm lengths
+ */
+export function poseDistance(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i += 3) {
+        total += Math.sqrt(
+            Math.pow(a[i] - b[i], 2) +
+            Math.pow(a[i + 1] - b[i + 1], 2) +
+            Math.pow(a[i + 2] - b[i + 2], 2)
+        );
+    }
+    return total / (a.length / 3);
+}
+
+export class KnnClassifier {
+    /**
+     * @param {number} k - Neighbours that vote on each pose
+     */
+    constructor(k = 3) {
+        this.k = k;
+        this.examples = [];
+    }
+
+    /**
+     * Replace the training examples
+     * @param {Array<{label: string, features: number[]}>} examples
+     */
+    setExamples(examples) {
+        this.examples = examples;
+    }
+
+    /**
+     * Find the closest label
+     * @param {number[]} features
+     * @returns {{label: string, distance: number}|null} Winning label and its nearest sample's
+     *   distance, or null without examples. The caller decides whether the distance is close enough.
+     */
+    classify(features) {
+        if (this.examples.length === 0) return null;
+
+        const neighbours = this.examples
+            .map(example => ({ label: example.label, distance: poseDistance(features, example.features) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.k);
+
+        // Majority vote; ties go to the label with the nearer sample
+        const votes = {};
+        neighbours.forEach(neighbour => {
+            votes[neighbour.label] = (votes[neighbour.label] || 0) + 1;
+        });
+        const winner = neighbours.reduce((best, neighbour) =>
+            (votes[neighbour.label] > votes[best.label] ? neighbour : best));
+
+        return { label: winner.label, distance: winner.distance };
+    }
+}
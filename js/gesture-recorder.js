@@ -0,0 +1,138 @@
+// Gesture Recorder Module
+// Records timestamped hand landmark streams (and the gestures they triggered) to JSON
+// for deterministic replay, see js/gesture-replay.js
+//
+// Session format (version 1):
+// {
+//   version: 1,
+//   recordedAt: ISO string,
+//   userAgent: string,
+//   gestures: { ...CONFIG.gestures at recording time },
+//   aspectRatio: number,            // input image width / height (joint angles depend on it)
+//   customGestures: [{ id, label, samples }, ...],   // user-trained gestures active while recording
+//   frames: [{ t, hands: [[{x, y, z} x 21], ...], handedness: ['Left' | 'Right', ...] }, ...],
+//   events: [{ t, gesture, hand }, ...]   // gesture starts fired live; replays are checked against these
+// }
+// t is milliseconds since the recording started; hand is 'Left', 'Right' or 'both' (two-hand gestures).
+
+import { CONFIG } from '../config.js';
+import { handTracking, GESTURES, BIMANUAL_GESTURES } from './hand-tracking.js';
+import { customGestures } from './custom-gestures.js';
+
+export const SESSION_VERSION = 1;
+
+// Landmark coordinates are rounded to keep sessions small
+const PRECISION = 1000000;
+
+class GestureRecorder {
+    constructor() {
+        this.session = null;
+        this.startTime = null;
+        this.lastTimestamp = 0;
+        this.frameListener = (results, timestamp) => this.recordFrame(results, timestamp);
+        this.gestureListeners = {};
+    }
+
+    /**
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return this.session !== null;
+    }
+
+    /**
+     * Start recording frames from the hand tracker
+     */
+    start() {
+        if (this.session) return;
+
+        this.session = {
+            version: SESSION_VERSION,
+            recordedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            gestures: { ...CONFIG.gestures },
+            customGestures: customGestures.gestures.map(({ id, label, samples }) => ({ id, label, samples })),
+            frames: [],
+            events: []
+        };
+        this.startTime = null;
+
+        handTracking.addFrameListener(this.frameListener);
+        [...GESTURES, ...BIMANUAL_GESTURES, ...handTracking.customGestures].forEach(gesture => {
+            this.gestureListeners[gesture] = (position, landmarks, event) => this.recordEvent(gesture, event.hand);
+            handTracking.on(`${gesture}:start`, this.gestureListeners[gesture]);
+        });
+
+        console.log('Gesture recording started');
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} Recorded session
+     */
+    stop() {
+        if (!this.session) return null;
+
+        handTracking.removeFrameListener(this.frameListener);
+        Object.entries(this.gestureListeners)
+            .forEach(([gesture, listener]) => handTracking.off(`${gesture}:start`, listener));
+        this.gestureListeners = {};
+
+        const session = this.session;
+        this.session = null;
+
+        console.log(`Gesture recording stopped: ${session.frames.length} frames, ${session.events.length} gestures`);
+        return session;
+    }
+
+    /**
+     * Store one frame of tracking results
+     * @param {Object} results - MediaPipe Hands results
+     * @param {number} timestamp - Frame time in ms
+     */
+    recordFrame(results, timestamp) {
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+            this.session.aspectRatio = handTracking.aspectRatio;
+        }
+        this.lastTimestamp = timestamp;
+
+        const hands = (results.multiHandLandmarks || []).map(landmarks => landmarks.map(point => ({
+            x: Math.round(point.x * PRECISION) / PRECISION,
+            y: Math.round(point.y * PRECISION) / PRECISION,
+            z: Math.round(point.z * PRECISION) / PRECISION
+        })));
+        const handedness = (results.multiHandedness || []).map(hand => hand.label);
+
+        this.session.frames.push({ t: timestamp - this.startTime, hands, handedness });
+    }
+
+    /**
+     * Note a gesture fired during recording
+     * Gesture callbacks run while the frame that triggered them is processed
+     * @param {string} gesture
+     * @param {string} hand - 'Left', 'Right' or 'both'
+     */
+    recordEvent(gesture, hand) {
+        this.session.events.push({ t: this.lastTimestamp - this.startTime, gesture, hand });
+    }
+
+    /**
+     * Save a session as a JSON download
+     * @param {Object} session
+     */
+    download(session) {
+        const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gesture-session-${session.recordedAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export singleton instance
+export const gestureRecorder = new GestureRecorder();
@@ -0,0 +1,69 @@
+// Gesture Replay Module
+// Feeds recorded landmark sessions (see js/gesture-recorder.js) through HandTracking
+// without MediaPipe. Has no DOM dependencies, so it also runs headless in Node.
+
+import { HandTracking, GESTURES, BIMANUAL_GESTURES } from './hand-tracking.js';
+
+/**
+ * Replay a session through a hand tracker
+ * @param {Object} session - Recorded session
+ * @param {HandTracking} tracker - Tracker to drive (defaults to a fresh one, so state never leaks between sessions)
+ * @returns {Array<{t: number, gesture: string, hand: string, position: Object}>} Gesture starts, in order
+ */
+export function replaySession(session, tracker = new HandTracking()) {
+    const events = [];
+    let frameTime = 0;
+
+    // Older sessions have no aspect ratio; treat their frames as square
+    tracker.aspectRatio = session.aspectRatio || 1;
+    tracker.setCustomGestures(session.customGestures || []);
+
+    const listeners = [...GESTURES, ...BIMANUAL_GESTURES, ...tracker.customGestures].map(gesture => {
+        const listener = (position, landmarks, event) => events.push({ t: frameTime, gesture, hand: event.hand, position });
+        tracker.on(`${gesture}:start`, listener);
+        return [`${gesture}:start`, listener];
+    });
+
+    try {
+        session.frames.forEach(frame => {
+            frameTime = frame.t;
+            tracker.onResults({
+                multiHandLandmarks: frame.hands,
+                multiHandedness: (frame.handedness || []).map(label => ({ label }))
+            }, frame.t);
+        });
+    } finally {
+        listeners.forEach(([event, listener]) => tracker.off(event, listener));
+    }
+
+    return events;
+}
+
+/**
+ * Compare replayed gestures with the ones recorded live
+ * Events match when the gesture is the same, the times are within the tolerance and,
+ * if the recording noted it, the hand is the same.
+ * @param {Array<{t: number, gesture: string, hand?: string}>} expected
+ * @param {Array<{t: number, gesture: string, hand: string}>} actual
+ * @param {number} toleranceMs
+ * @returns {{missing: Array<Object>, unexpected: Array<Object>}} Unmatched events on each side
+ */
+export function compareEvents(expected, actual, toleranceMs = 0) {
+    const unexpected = [...actual];
+    const missing = [];
+
+    expected.forEach(event => {
+        const index = unexpected.findIndex(other =>
+            other.gesture === event.gesture
+            && (!event.hand || other.hand === event.hand)
+            && Math.abs(other.t - event.t) <= toleranceMs);
+
+        if (index > -1) {
+            unexpected.splice(index, 1);
+        } else {
+            missing.push(event);
+        }
+    });
+
+    return { missing, unexpected };
+}
@@ -0,0 +1,158 @@
+// Hand Pose Module
+// Describes a hand by its joint angles and a hand-local frame (palm plane, thumb side), so
+// gestures read the same at any wrist rotation and for either hand
+
+// Landmark indices per finger, base (MCP) to tip
+export const FINGERS = {
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+// Thumb landmarks, CMC to tip
+const THUMB = [1, 2, 3, 4];
+
+const DEGREES = 180 / Math.PI;
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function length(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+function normalize(a) {
+    const size = length(a) || 1;
+    return { x: a.x / size, y: a.y / size, z: a.z / size };
+}
+
+function scale(a, factor) {
+    return { x: a.x * factor, y: a.y * factor, z: a.z * factor };
+}
+
+/**
+ * Angle between two vectors
+ * @returns {number} Degrees, 0 when they point the same way
+ */
+function angleBetween(a, b) {
+    const cosine = dot(a, b) / ((length(a) * length(b)) || 1);
+    return Math.acos(Math.min(1, Math.max(-1, cosine))) * DEGREES;
+}
+
+/**
+ * Total bend along a chain of joints: the sum of the angles between consecutive bones
+ * @param {Array<Object>} points - Joint positions, base first
+ * @returns {number} Degrees; about 0 for a straight finger, 200+ for a curled one
+ */
+function getFlexion(points) {
+    let flexion = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        flexion += angleBetween(subtract(points[i], points[i - 1]), subtract(points[i + 1], points[i]));
+    }
+    return flexion;
+}
+
+/**
+ * Undo the image aspect ratio, so angles aren't skewed by normalized x and y having different units
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - MediaPipe normalized landmarks
+ * @param {number} aspectRatio - Image width / height
+ * @returns {Array<{x: number, y: number, z: number}>} Landmarks in image-height units
+ */
+export function toImageSpace(landmarks, aspectRatio = 1) {
+    // MediaPipe z uses roughly the same scale as x
+    return landmarks.map(point => ({ x: point.x * aspectRatio, y: point.y, z: point.z * aspectRatio }));
+}
+
+/**
+ * Hand-local frame
+ * - up: wrist towards the middle finger base
+ * - normal: out of the palm
+ * - thumbSide: across the palm towards the thumb
+ * A left hand is a mirrored right hand, so its frame is mirrored too: a pose has the same
+ * local coordinates with either hand.
+ * @param {Array<Object>} points - Landmarks in image space (see toImageSpace)
+ * @param {string} hand - 'Left' or 'Right', as seen by the user
+ * @returns {{origin: Object, up: Object, normal: Object, thumbSide: Object, size: number}}
+ *   size is the wrist to middle finger base distance, used to compare hands at any distance from the camera
+ */
+export function getHandFrame(points, hand) {
+    const wrist = points[0];
+    const toIndex = subtract(points[5], wrist);
+    const toPinky = subtract(points[17], wrist);
+    const toMiddle = subtract(points[9], wrist);
+
+    // Index x pinky points out of the back of a right hand (image y points down)
+    const back = normalize(cross(toIndex, toPinky));
+    const normal = hand === 'Left' ? back : scale(back, -1);
+
+    // Keep up perpendicular to the normal
+    const up = normalize(subtract(toMiddle, scale(normal, dot(toMiddle, normal))));
+    const thumbSide = hand === 'Left' ? cross(up, normal) : cross(normal, up);
+
+    return { origin: wrist, up, normal, thumbSide, size: length(toMiddle) || 1 };
+}
+
+/**
+ * Express landmarks in the hand-local frame
+ * @param {Array<Object>} points - Landmarks in image space
+ * @param {Object} frame - From getHandFrame
+ * @returns {Array<{x: number, y: number, z: number}>} x towards the thumb, y towards the fingers,
+ *   z out of the palm, all in multiples of the frame size
+ */
+export function toLocal(points, frame) {
+    return points.map(point => {
+        const offset = subtract(point, frame.origin);
+        return {
+            x: dot(offset, frame.thumbSide) / frame.size,
+            y: dot(offset, frame.up) / frame.size,
+            z: dot(offset, frame.normal) / frame.size
+        };
+    });
+}
+
+/**
+ * Describe a hand pose
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - MediaPipe normalized landmarks
+ * @param {string} hand - 'Left' or 'Right'
+ * @param {number} aspectRatio - Image width / height
+ * @returns {{frame: Object, local: Array<Object>, fingers: Object<string, number>, thumb: {flexion: number, reach: number}}}
+ *   local holds the landmarks in the hand-local frame (see toLocal); fingers maps each finger to its
+ *   flexion in degrees; thumb.reach is how far the thumb tip sits out past the index base towards
+ *   the thumb side, in multiples of the frame size
+ */
+export function analyzeHand(landmarks, hand, aspectRatio = 1) {
+    const points = toImageSpace(landmarks, aspectRatio);
+    const frame = getHandFrame(points, hand);
+
+    const fingers = {};
+    Object.entries(FINGERS).forEach(([finger, indices]) => {
+        // Include the wrist so the bend at the knuckle counts too
+        fingers[finger] = getFlexion([points[0], ...indices.map(index => points[index])]);
+    });
+
+    const thumbReach = dot(subtract(points[THUMB[3]], points[5]), frame.thumbSide) / frame.size;
+
+    return {
+        frame,
+        local: toLocal(points, frame),
+        fingers,
+        thumb: {
+            flexion: getFlexion(THUMB.map(index => points[index])),
+            reach: thumbReach
+        }
+    };
+}
@@ -1,7 +1,27 @@
 // Hand Tracking Module using MediaPipe Hands
-// Detects pinch and open hand gestures
+// Tracks both hands and reports one-hand gestures (pinch, peace, open hand, fist) and
+// two-hand gestures (spread, palms together) as start/hold/end events
 
 import { CONFIG } from '../config.js';
+import { LandmarkFilter } from './one-euro-filter.js';
+import { analyzeHand } from './hand-pose.js';
+import { KnnClassifier, getPoseFeatures } from './gesture-classifier.js';
+
+// One-hand gestures in detection priority order
+export const GESTURES = ['pinch', 'peace', 'openHand', 'fist'];
+
+// Two-hand gestures: both hands pinching (spread them apart to scale), and palms brought together
+export const BIMANUAL_GESTURES = ['spread', 'palmsTogether'];
+
+// Gesture event phases: 'start' once the gesture has been held for its holdMs,
+// 'hold' on every following frame, 'end' once it has been released for releaseMs
+export const GESTURE_PHASES = ['start', 'hold', 'end'];
+
+// Handedness labels, as seen by the user
+export const HANDS = ['Left', 'Right'];
+
+// Landmarks averaged for the palm center: wrist and the four finger bases
+const PALM_LANDMARKS = [0, 5, 9, 13, 17];
 
 class HandTracking {
     constructor() {
@@ -11,16 +31,49 @@ class HandTracking {
         this.canvasElement = null;
         this.canvasCtx = null;
         this.isInitialized = false;
-        this.lastGestureTime = 0;
-        this.gestureCallbacks = {
-            pinch: [],
-            openHand: [],
-            fist: [],
-            peace: []
-        };
-        this.currentGesture = null;
-        this.handLandmarks = null;
+
+        // Callbacks per event, e.g. 'pinch:start'
+        this.gestureCallbacks = {};
+        [...GESTURES, ...BIMANUAL_GESTURES].forEach(gesture => GESTURE_PHASES.forEach(phase => {
+            this.gestureCallbacks[`${gesture}:${phase}`] = [];
+        }));
+
         this.animationFrameId = null;
+        this.frameListeners = [];
+        this.aspectRatio = 1; // Input image width / height, for undistorted joint angles
+
+        // User-trained gestures (see setCustomGestures)
+        this.customGestures = [];
+        this.customClassifier = new KnnClassifier(CONFIG.customGestures.k);
+
+        // Gesture state per hand, plus one for two-hand gestures
+        this.handStates = {};
+        HANDS.forEach(hand => {
+            this.handStates[hand] = this.createGestureState(hand);
+        });
+        this.bimanualState = this.createGestureState('both');
+    }
+
+    /**
+     * Create the gesture state machine for one hand (or 'both' for two-hand gestures)
+     * @param {string} hand - 'Left', 'Right' or 'both'
+     * @returns {Object}
+     */
+    createGestureState(hand) {
+        return {
+            hand,
+            filter: hand === 'both' ? null : new LandmarkFilter(CONFIG.gestures.smoothing),
+            landmarks: null,       // Smoothed landmarks this frame, null while the hand is out of view
+            lastLandmarks: null,   // Last landmarks seen, for positions of events after the hand is lost
+            detected: null,        // Gesture seen this frame (one-hand states only)
+            activeGesture: null,   // Gesture that has started and not yet ended
+            activeSince: 0,
+            candidate: null,       // Gesture seen but not yet held long enough
+            candidateSince: 0,
+            releaseSince: null,    // When the active gesture was first not seen
+            lastEnded: {},         // Gesture -> end time, for per-gesture cooldowns
+            startDistance: null    // Spread only: distance between the pinches when it started
+        };
     }
 
     /**
@@ -50,7 +103,7 @@ class HandTracking {
             });
 
             this.hands.setOptions({
-                maxNumHands: 1,
+                maxNumHands: CONFIG.gestures.maxHands,
                 modelComplexity: 1,
                 minDetectionConfidence: 0.7,
                 minTrackingConfidence: 0.7
@@ -58,8 +111,6 @@ class HandTracking {
 
             this.hands.onResults((results) => this.onResults(results));
 
-            this.hands.onResults((results) => this.onResults(results));
-
             // Start processing frames
             this.startProcessing();
 
@@ -87,25 +138,57 @@ class HandTracking {
 
     /**
      * Process hand tracking results
+     * @param {Object} results - MediaPipe Hands results (or a replayed frame in the same shape)
+     * @param {number} timestamp - Frame time in ms; replays pass recorded times for deterministic timing
      */
-    onResults(results) {
-        if (!results.multiHandLandmarks || results.multiHandLandmarks.length === 0) {
-            this.handLandmarks = null;
-            this.currentGesture = null;
-            return;
+    onResults(results, timestamp = Date.now()) {
+        if (results.image && results.image.width && results.image.height) {
+            this.aspectRatio = results.image.width / results.image.height;
         }
 
-        const landmarks = results.multiHandLandmarks[0];
-        this.handLandmarks = landmarks;
+        this.frameListeners.forEach(listener => listener(results, timestamp));
+
+        const seen = new Set();
+        (results.multiHandLandmarks || []).forEach((rawLandmarks, index) => {
+            const hand = this.getHandLabel(results.multiHandedness, index);
+
+            // MediaPipe occasionally gives both hands the same label; keep the first
+            if (seen.has(hand)) return;
+            seen.add(hand);
+
+            // Smooth landmarks before classifying, so jitter near a threshold doesn't flip the gesture
+            const state = this.handStates[hand];
+            state.landmarks = state.filter.filter(rawLandmarks, timestamp);
+            state.lastLandmarks = state.landmarks;
+        });
+
+        // While a spread is active its hands keep the looser pinch exit threshold
+        const spreading = this.bimanualState.activeGesture === 'spread';
+        HANDS.forEach(hand => {
+            const state = this.handStates[hand];
+            if (!seen.has(hand)) {
+                state.landmarks = null;
+                state.filter.reset();
+            }
 
-        // Detect gestures
-        const gesture = this.detectGesture(landmarks);
+            state.detected = state.landmarks
+                ? this.detectGesture(state.landmarks, hand, state.activeGesture || (spreading ? 'pinch' : null))
+                : null;
+        });
 
-        if (gesture && gesture !== this.currentGesture) {
-            this.handleGesture(gesture, landmarks);
-        }
+        // Two-hand gestures go first: while one is active or being held, the hands making it don't
+        // start gestures of their own (two open palms coming together aren't two open hands)
+        this.updateGestureState(this.bimanualState, this.detectBimanualGesture(), timestamp);
 
-        this.currentGesture = gesture;
+        const bimanual = this.bimanualState;
+        const holdBack = Boolean(bimanual.activeGesture || bimanual.candidate);
+        // With both hands up, a one-hand gesture needs a longer hold so a two-hand one can form first
+        const minHoldMs = HANDS.every(hand => this.handStates[hand].landmarks) ? CONFIG.gestures.twoHandHoldMs : 0;
+
+        HANDS.forEach(hand => {
+            const state = this.handStates[hand];
+            this.updateGestureState(state, state.detected, timestamp, { holdBack, minHoldMs });
+        });
 
         // Optional: Draw hand landmarks on canvas
         if (this.canvasElement && this.canvasCtx) {
@@ -114,84 +197,249 @@ class HandTracking {
     }
 
     /**
-     * Detect gesture from hand landmarks
+     * Get the user's view of which hand a detection is
+     * MediaPipe labels hands as if the image were mirrored (selfie view); the rear camera isn't
+     * @param {Array<{label: string}>} multiHandedness
+     * @param {number} index - Hand index in the results
+     * @returns {string} 'Left' or 'Right'
+     */
+    getHandLabel(multiHandedness, index) {
+        const classification = multiHandedness && multiHandedness[index];
+        if (!classification) return HANDS[index % HANDS.length];
+
+        if (CONFIG.gestures.mirroredInput) return classification.label;
+        return classification.label === 'Left' ? 'Right' : 'Left';
+    }
+
+    /**
+     * Detect gesture from hand landmarks, in priority order
+     * The active gesture is checked against its looser exit thresholds, all others against enter thresholds
+     * @param {Array<{x: number, y: number, z: number}>} landmarks
+     * @param {string} hand - 'Left' or 'Right'
+     * @param {string|null} activeGesture - The hand's active gesture
+     * @returns {string|null} Gesture name
+     */
+    detectGesture(landmarks, hand, activeGesture = null) {
+        const pose = analyzeHand(landmarks, hand, this.aspectRatio);
+
+        // User-trained poses are specific, so they take priority over the built-in gestures
+        const custom = this.detectCustomGesture(pose, activeGesture);
+        if (custom) return custom;
+
+        return GESTURES.find(gesture =>
+            this.matchesGesture(gesture, landmarks, pose, gesture === activeGesture)) || null;
+    }
+
+    /**
+     * Match a pose against the user-trained gestures
+     * @param {Object} pose - From analyzeHand()
+     * @param {string|null} activeGesture - The hand's active gesture
+     * @returns {string|null} Custom gesture id
+     */
+    detectCustomGesture(pose, activeGesture) {
+        const match = this.customClassifier.classify(getPoseFeatures(pose));
+        if (!match) return null;
+
+        const { enterDistance, exitDistance } = CONFIG.customGestures;
+        const threshold = match.label === activeGesture ? exitDistance : enterDistance;
+        return match.distance < threshold ? match.label : null;
+    }
+
+    /**
+     * Replace the user-trained gestures
+     * Each gesture fires '<id>:start', '<id>:hold' and '<id>:end' like the built-in ones
+     * @param {Array<{id: string, samples: number[][]}>} gestures - Samples are pose features (see getPoseFeatures)
      */
-    detectGesture(landmarks) {
-        // Check cooldown
-        const now = Date.now();
-        if (now - this.lastGestureTime < CONFIG.gestures.cooldownMs) {
-            return null;
+    setCustomGestures(gestures) {
+        this.customGestures = gestures.map(gesture => gesture.id);
+        this.customGestures.forEach(id => GESTURE_PHASES.forEach(phase => {
+            this.gestureCallbacks[`${id}:${phase}`] = this.gestureCallbacks[`${id}:${phase}`] || [];
+        }));
+
+        this.customClassifier.setExamples(gestures.flatMap(gesture =>
+            gesture.samples.map(features => ({ label: gesture.id, features }))));
+    }
+
+    /**
+     * Hold time and cooldown for a gesture
+     * @param {string} gesture
+     * @returns {{holdMs: number, cooldownMs: number}}
+     */
+    getGestureTiming(gesture) {
+        return CONFIG.gestures[gesture] || CONFIG.customGestures;
+    }
+
+    /**
+     * Detect a two-hand gesture from what both hands show this frame
+     * @returns {string|null} 'spread', 'palmsTogether' or null
+     */
+    detectBimanualGesture() {
+        const left = this.handStates.Left;
+        const right = this.handStates.Right;
+        if (!left.landmarks || !right.landmarks) return null;
+
+        if (left.detected === 'pinch' && right.detected === 'pinch') {
+            return 'spread';
         }
 
-        // Detect pinch (thumb tip close to index finger tip)
-        if (this.isPinch(landmarks)) {
-            return 'pinch';
+        const { enterDistance, exitDistance } = CONFIG.gestures.palmsTogether;
+        const active = this.bimanualState.activeGesture === 'palmsTogether';
+        const distance = this.getDistance2D(this.getPalmCenter(left.landmarks), this.getPalmCenter(right.landmarks));
+
+        return distance < (active ? exitDistance : enterDistance) ? 'palmsTogether' : null;
+    }
+
+    /**
+     * Check one gesture
+     * @param {string} gesture
+     * @param {Array<{x: number, y: number, z: number}>} landmarks
+     * @param {Object} pose - Joint angles and hand frame from analyzeHand()
+     * @param {boolean} active - Use exit thresholds (the gesture is already active)
+     * @returns {boolean}
+     */
+    matchesGesture(gesture, landmarks, pose, active) {
+        switch (gesture) {
+            case 'pinch': return this.isPinch(landmarks, active);
+            case 'peace': return this.isPeace(landmarks, pose, active);
+            case 'openHand': return this.isOpenHand(pose, active);
+            case 'fist': return this.isFist(landmarks, pose, active);
+            default: return false;
         }
+    }
+
+    /**
+     * Advance a gesture state machine by one frame
+     * @param {Object} state - Hand (or two-hand) gesture state
+     * @param {string|null} gesture - Gesture detected this frame
+     * @param {number} timestamp - Frame time in ms
+     * @param {Object} options
+     * @param {boolean} options.holdBack - Don't start a gesture this frame; its hold time restarts
+     * @param {number} options.minHoldMs - Hold at least this long, even if the gesture's holdMs is shorter
+     */
+    updateGestureState(state, gesture, timestamp, { holdBack = false, minHoldMs = 0 } = {}) {
+        const active = state.activeGesture;
+
+        if (active) {
+            if (gesture === active) {
+                state.releaseSince = null;
+                this.emitGesture(state, active, 'hold', timestamp);
+                return;
+            }
+
+            // Ride out brief dropouts before ending the gesture
+            if (state.releaseSince === null) {
+                state.releaseSince = timestamp;
+            }
+            if (timestamp - state.releaseSince < CONFIG.gestures.releaseMs) {
+                return;
+            }
 
-        // Detect peace gesture (index + middle extended, ring + pinky closed)
-        if (this.isPeace(landmarks)) {
-            return 'peace';
+            this.emitGesture(state, active, 'end', timestamp);
+            state.lastEnded[active] = timestamp;
+            state.activeGesture = null;
+            state.releaseSince = null;
         }
 
-        // Detect open hand (all fingers extended)
-        if (this.isOpenHand(landmarks)) {
-            return 'openHand';
+        if (gesture !== state.candidate || holdBack) {
+            state.candidate = gesture;
+            state.candidateSince = timestamp;
         }
+        if (!gesture || holdBack) return;
 
-        // Detect fist (all fingers closed)
-        if (this.isFist(landmarks)) {
-            return 'fist';
+        const { holdMs, cooldownMs } = this.getGestureTiming(gesture);
+        const lastEnded = state.lastEnded[gesture] ?? -Infinity;
+
+        if (timestamp - state.candidateSince >= Math.max(holdMs, minHoldMs) && timestamp - lastEnded >= cooldownMs) {
+            state.activeGesture = gesture;
+            state.activeSince = timestamp;
+            state.candidate = null;
+            this.emitGesture(state, gesture, 'start', timestamp);
         }
+    }
 
-        return null;
+    /**
+     * Check if a finger is straight
+     * Entering a gesture needs a clear margin; staying in it tolerates the same margin the other way
+     * @param {number} flexion - Total bend of the finger in degrees (see analyzeHand)
+     * @param {boolean} active - Use exit thresholds
+     * @returns {boolean}
+     */
+    isFingerExtended(flexion, active) {
+        const { extendedMaxDeg, angleMargin } = CONFIG.gestures.fingers;
+        return flexion < extendedMaxDeg + (active ? angleMargin : -angleMargin);
     }
 
     /**
-     * Check if hand is making pinch gesture
+     * Check if a finger is curled (see isFingerExtended)
+     * @param {number} flexion - Total bend of the finger in degrees
+     * @param {boolean} active - Use exit thresholds
+     * @returns {boolean}
+     */
+    isFingerCurled(flexion, active) {
+        const { curledMinDeg, angleMargin } = CONFIG.gestures.fingers;
+        return flexion > curledMinDeg - (active ? angleMargin : -angleMargin);
+    }
+
+    /**
+     * Check if the thumb sticks out to the side of the hand
+     * @param {Object} pose - From analyzeHand()
+     * @param {boolean} active - Use exit thresholds
+     * @returns {boolean}
      */
-    isPinch(landmarks) {
+    isThumbExtended(pose, active) {
+        const { extendedReach, reachMargin } = CONFIG.gestures.thumb;
+        return pose.thumb.reach > extendedReach - (active ? reachMargin : -reachMargin);
+    }
+
+    /**
+     * Check if the thumb is tucked in against the palm or fingers
+     * @param {Object} pose - From analyzeHand()
+     * @param {boolean} active - Use exit thresholds
+     * @returns {boolean}
+     */
+    isThumbTucked(pose, active) {
+        const { tuckedReach, reachMargin } = CONFIG.gestures.thumb;
+        return pose.thumb.reach < tuckedReach + (active ? reachMargin : -reachMargin);
+    }
+
+    /**
+     * Distance between the thumb and index fingertips
+     * Measured in image heights, so it doesn't change as the hand rotates in a non-square image
+     * @param {Array<Object>} landmarks
+     * @returns {number}
+     */
+    getPinchDistance(landmarks) {
         const thumbTip = landmarks[4];
         const indexTip = landmarks[8];
 
-        const distance = Math.sqrt(
-            Math.pow(thumbTip.x - indexTip.x, 2) +
+        return Math.sqrt(
+            Math.pow((thumbTip.x - indexTip.x) * this.aspectRatio, 2) +
             Math.pow(thumbTip.y - indexTip.y, 2) +
-            Math.pow(thumbTip.z - indexTip.z, 2)
+            Math.pow((thumbTip.z - indexTip.z) * this.aspectRatio, 2)
         );
+    }
 
-        return distance < CONFIG.gestures.pinchThreshold;
+    /**
+     * Check if hand is making pinch gesture
+     * @param {Array<Object>} landmarks
+     * @param {boolean} active - Use the exit threshold
+     */
+    isPinch(landmarks, active = false) {
+        const { enterDistance, exitDistance } = CONFIG.gestures.pinch;
+        return this.getPinchDistance(landmarks) < (active ? exitDistance : enterDistance);
     }
 
     /**
      * Check if hand is open (all fingers extended)
+     * @param {Object} pose - From analyzeHand()
+     * @param {boolean} active - Use exit thresholds
      */
-    isOpenHand(landmarks) {
-        // Check if all fingertips are above their respective knuckles
-        const fingers = [
-            { tip: 8, pip: 6 },   // Index
-            { tip: 12, pip: 10 }, // Middle
-            { tip: 16, pip: 14 }, // Ring
-            { tip: 20, pip: 18 }  // Pinky
-        ];
+    isOpenHand(pose, active = false) {
+        let extendedCount = Object.values(pose.fingers)
+            .filter(flexion => this.isFingerExtended(flexion, active))
+            .length;
 
-        let extendedCount = 0;
-
-        for (const finger of fingers) {
-            const tip = landmarks[finger.tip];
-            const pip = landmarks[finger.pip];
-
-            // Check if tip is above pip (y is inverted in screen coordinates)
-            if (tip.y < pip.y) {
-                extendedCount++;
-            }
-        }
-
-        // Also check thumb
-        const thumbTip = landmarks[4];
-        const thumbIP = landmarks[3];
-        const thumbExtended = Math.abs(thumbTip.x - thumbIP.x) > 0.05;
-
-        if (thumbExtended) {
+        if (this.isThumbExtended(pose, active)) {
             extendedCount++;
         }
 
@@ -200,47 +448,21 @@ class HandTracking {
 
     /**
      * Check if hand is a fist (all fingers closed)
+     * @param {Array<Object>} landmarks
+     * @param {Object} pose - From analyzeHand()
+     * @param {boolean} active - Use exit thresholds
      */
-    isFist(landmarks) {
+    isFist(landmarks, pose, active = false) {
         // EXCLUSION: If thumb and index are close, it's likely a pinch (or near pinch), not a fist
-        const thumbTip = landmarks[4];
-        const indexTip = landmarks[8];
-        const pinchDist = Math.sqrt(
-            Math.pow(thumbTip.x - indexTip.x, 2) +
-            Math.pow(thumbTip.y - indexTip.y, 2) +
-            Math.pow(thumbTip.z - indexTip.z, 2)
-        );
-
-        if (pinchDist < CONFIG.gestures.fistPinchExclusion) {
+        if (this.getPinchDistance(landmarks) < CONFIG.gestures.pinchExclusion) {
             return false;
         }
 
-        // Check if all fingertips are below their respective PIP joints
-        const fingers = [
-            { tip: 8, pip: 6 },   // Index
-            { tip: 12, pip: 10 }, // Middle
-            { tip: 16, pip: 14 }, // Ring
-            { tip: 20, pip: 18 }  // Pinky
-        ];
-
-        let closedCount = 0;
-
-        for (const finger of fingers) {
-            const tip = landmarks[finger.tip];
-            const pip = landmarks[finger.pip];
-
-            // Check if tip is below pip (y is inverted in screen coordinates, so tip.y > pip.y means lower)
-            if (tip.y > pip.y) {
-                closedCount++;
-            }
-        }
+        let closedCount = Object.values(pose.fingers)
+            .filter(flexion => this.isFingerCurled(flexion, active))
+            .length;
 
-        // Thumb is tricky, check if it's close to the palm/index base
-        // thumbTip is already defined above
-        const indexMCP = landmarks[5]; // Index base
-        const thumbClosed = Math.abs(thumbTip.x - indexMCP.x) < 0.1;
-
-        if (thumbClosed) {
+        if (this.isThumbTucked(pose, active)) {
             closedCount++;
         }
 
@@ -249,53 +471,77 @@ class HandTracking {
 
     /**
      * Check if hand is making peace gesture (index + middle extended, others closed)
+     * @param {Array<Object>} landmarks
+     * @param {Object} pose - From analyzeHand()
+     * @param {boolean} active - Use exit thresholds
      */
-    isPeace(landmarks) {
-        // Check index finger extended (tip above PIP)
-        const indexTip = landmarks[8];
-        const indexPIP = landmarks[6];
-        const indexExtended = indexTip.y < indexPIP.y;
-
-        // Check middle finger extended (tip above PIP)
-        const middleTip = landmarks[12];
-        const middlePIP = landmarks[10];
-        const middleExtended = middleTip.y < middlePIP.y;
-
-        // Check ring finger closed (tip below PIP)
-        const ringTip = landmarks[16];
-        const ringPIP = landmarks[14];
-        const ringClosed = ringTip.y > ringPIP.y;
-
-        // Check pinky closed (tip below PIP)
-        const pinkyTip = landmarks[20];
-        const pinkyPIP = landmarks[18];
-        const pinkyClosed = pinkyTip.y > pinkyPIP.y;
+    isPeace(landmarks, pose, active = false) {
+        const { index, middle, ring, pinky } = pose.fingers;
+        const indexExtended = this.isFingerExtended(index, active);
+        const middleExtended = this.isFingerExtended(middle, active);
+        const ringClosed = this.isFingerCurled(ring, active);
+        const pinkyClosed = this.isFingerCurled(pinky, active);
 
         // Thumb should be somewhat extended or neutral (not strictly required)
-        const thumbTip = landmarks[4];
-        const thumbIP = landmarks[3];
-        const thumbNotPinching = Math.abs(thumbTip.x - indexTip.x) > 0.1;
+        const thumbNotPinching = this.getPinchDistance(landmarks) > CONFIG.gestures.pinchExclusion;
 
         return indexExtended && middleExtended && ringClosed && pinkyClosed && thumbNotPinching;
     }
 
     /**
-     * Handle detected gesture
+     * Notify listeners of a gesture event
+     * @param {Object} state - Gesture state the event belongs to
+     * @param {string} gesture
+     * @param {string} phase - 'start', 'hold' or 'end'
+     * @param {number} timestamp - Frame time in ms
      */
-    handleGesture(gesture, landmarks) {
-        this.lastGestureTime = Date.now();
+    emitGesture(state, gesture, phase, timestamp) {
+        const event = {
+            gesture,
+            phase,
+            hand: state.hand,
+            duration: timestamp - state.activeSince
+        };
 
-        // Get 3D position for AR placement
-        const position = this.getLandmarkPosition(landmarks, gesture);
+        let position;
+        let landmarks;
 
-        // Trigger callbacks
-        if (this.gestureCallbacks[gesture]) {
-            this.gestureCallbacks[gesture].forEach(callback => {
-                callback(position, landmarks);
-            });
+        if (state.hand === 'both') {
+            // Two-hand gestures: landmarks of both hands, position halfway between them
+            landmarks = {
+                Left: this.handStates.Left.lastLandmarks,
+                Right: this.handStates.Right.lastLandmarks
+            };
+            const anchorGesture = gesture === 'spread' ? 'pinch' : null;
+            const left = this.getLandmarkPosition(landmarks.Left, anchorGesture);
+            const right = this.getLandmarkPosition(landmarks.Right, anchorGesture);
+            position = {
+                x: (left.x + right.x) / 2,
+                y: (left.y + right.y) / 2,
+                z: (left.z + right.z) / 2
+            };
+
+            // Spread reports how far apart the pinches are relative to where they started
+            if (gesture === 'spread') {
+                const distance = this.getDistance2D(left, right);
+                if (phase === 'start') {
+                    state.startDistance = distance;
+                }
+                event.distance = distance;
+                event.scale = state.startDistance > 0 ? distance / state.startDistance : 1;
+            }
+        } else {
+            landmarks = state.lastLandmarks;
+            position = this.getLandmarkPosition(landmarks, gesture);
         }
 
-        console.log(`Gesture detected: ${gesture}`, position);
+        this.gestureCallbacks[`${gesture}:${phase}`].forEach(callback => {
+            callback(position, landmarks, event);
+        });
+
+        if (phase !== 'hold') {
+            console.log(`Gesture ${phase}: ${gesture} (${state.hand})`, position);
+        }
     }
 
     /**
@@ -324,16 +570,46 @@ class HandTracking {
         };
     }
 
+    /**
+     * Get the palm center of a hand
+     * @param {Array<{x: number, y: number, z: number}>} landmarks
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getPalmCenter(landmarks) {
+        const sum = PALM_LANDMARKS.reduce((total, index) => ({
+            x: total.x + landmarks[index].x,
+            y: total.y + landmarks[index].y,
+            z: total.z + landmarks[index].z
+        }), { x: 0, y: 0, z: 0 });
+
+        return {
+            x: sum.x / PALM_LANDMARKS.length,
+            y: sum.y / PALM_LANDMARKS.length,
+            z: sum.z / PALM_LANDMARKS.length
+        };
+    }
+
+    /**
+     * Distance between two points in the image plane
+     * MediaPipe z is relative to each hand's own wrist, so it isn't comparable across hands
+     */
+    getDistance2D(a, b) {
+        return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+    }
+
     /**
      * Get wrist landmarks for bracelet positioning
+     * @param {string|null} hand - 'Left' or 'Right'; null for whichever hand is in view
+     * @returns {Object|null} Wrist position and knuckles, or null if that hand is out of view
      */
-    getWristLandmarks() {
-        if (!this.handLandmarks) return null;
+    getWristLandmarks(hand = null) {
+        const landmarks = this.getHandLandmarks(hand);
+        if (!landmarks) return null;
 
         // Use actual wrist position (landmark 0)
-        const wrist = this.handLandmarks[0];
-        const indexMCP = this.handLandmarks[5];
-        const pinkyMCP = this.handLandmarks[17];
+        const wrist = landmarks[0];
+        const indexMCP = landmarks[5];
+        const pinkyMCP = landmarks[17];
 
         return {
             position: {
@@ -377,31 +653,65 @@ class HandTracking {
     }
 
     /**
-     * Register callback for gesture
+     * Register callback for a gesture event
+     * @param {string} event - '<gesture>:<phase>', e.g. 'pinch:start'
+     * @param {Function} callback - Receives (position, landmarks, { gesture, phase, hand, duration })
+     *   Two-hand gestures get { Left, Right } landmarks and the midpoint as position; spread events
+     *   also carry distance and scale (distance relative to the start of the gesture)
      */
-    on(gesture, callback) {
-        if (this.gestureCallbacks[gesture]) {
-            this.gestureCallbacks[gesture].push(callback);
+    on(event, callback) {
+        if (this.gestureCallbacks[event]) {
+            this.gestureCallbacks[event].push(callback);
         }
     }
 
     /**
-     * Remove callback for gesture
+     * Remove callback for a gesture event
      */
-    off(gesture, callback) {
-        if (this.gestureCallbacks[gesture]) {
-            const index = this.gestureCallbacks[gesture].indexOf(callback);
+    off(event, callback) {
+        if (this.gestureCallbacks[event]) {
+            const index = this.gestureCallbacks[event].indexOf(callback);
             if (index > -1) {
-                this.gestureCallbacks[gesture].splice(index, 1);
+                this.gestureCallbacks[event].splice(index, 1);
             }
         }
     }
 
     /**
-     * Get current hand landmarks
+     * Register a listener for every processed frame (used by the gesture recorder)
+     * @param {Function} listener - Receives (results, timestamp)
      */
-    getHandLandmarks() {
-        return this.handLandmarks;
+    addFrameListener(listener) {
+        this.frameListeners.push(listener);
+    }
+
+    /**
+     * Remove a frame listener
+     * @param {Function} listener
+     */
+    removeFrameListener(listener) {
+        this.frameListeners = this.frameListeners.filter(other => other !== listener);
+    }
+
+    /**
+     * Get current (smoothed) hand landmarks
+     * @param {string|null} hand - 'Left' or 'Right'; null for whichever hand is in view
+     * @returns {Array<Object>|null}
+     */
+    getHandLandmarks(hand = null) {
+        if (hand) {
+            return this.handStates[hand].landmarks;
+        }
+
+        const visible = HANDS.find(label => this.handStates[label].landmarks);
+        return visible ? this.handStates[visible].landmarks : null;
+    }
+
+    /**
+     * @returns {string[]} Hands currently in view
+     */
+    getTrackedHands() {
+        return HANDS.filter(hand => this.handStates[hand].landmarks);
     }
 
     /**
@@ -416,5 +726,8 @@ class HandTracking {
     }
 }
 
+// Class export for headless replays (see js/gesture-replay.js); the app uses the singleton
+export { HandTracking };
+
 // Export singleton instance
 export const handTracking = new HandTracking();
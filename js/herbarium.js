@@ -0,0 +1,147 @@
+// Herbarium Module
+// Persistent collection of confirmed plant identifications, stored in IndexedDB
+
+import { CONFIG } from '../config.js';
+import { apiService } from './api-service.js';
+import { runRequest } from './idb-store.js';
+
+const STORE_NAME = 'plants';
+
+class Herbarium {
+    /**
+     * Save (or update) a confirmed plant
+     * @param {Object} plant - Plant record from PlantDetector
+     * @returns {Promise<Object|null>} Stored entry, or null if saving failed
+     */
+    async save(plant) {
+        try {
+            const location = await apiService.getLastKnownLocation().catch(() => null);
+
+            const entry = {
+                id: plant.id,
+                name: plant.name,
+                commonNames: plant.commonNames || [],
+                scientificName: plant.scientificName || null,
+                family: plant.family || null,
+                taxonomy: plant.taxonomy || null,
+                probability: plant.probability,
+                description: plant.description || null,
+                url: plant.url || null,
+                edibleParts: plant.edibleParts || [],
+                similarImages: plant.similarImages || [],
+                organs: plant.organs || [],
+                health: plant.health || null,
+                source: plant.source,
+                identifiedAt: plant.timestamp,
+                location: location ? { lat: location.lat, lon: location.lon } : null,
+                imageData: plant.imageData,
+                thumbnail: await this.createThumbnail(plant.imageData),
+                // Canvases can't be stored, so keep the cutout mask as a PNG
+                maskData: plant.segmentation ? plant.segmentation.mask.toDataURL('image/png') : null
+            };
+
+            await runRequest(STORE_NAME, 'readwrite', store => store.put(entry));
+            return entry;
+        } catch (error) {
+            console.warn('Failed to save plant to herbarium:', error);
+            return null;
+        }
+    }
+
+    /**
+     * List saved plants, newest first
+     * @param {string} query - Optional search over names and family
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(query = '') {
+        let entries;
+        try {
+            entries = (await runRequest(STORE_NAME, 'readonly', store => store.getAll())) || [];
+        } catch (error) {
+            console.warn('Failed to read herbarium:', error);
+            return [];
+        }
+
+        const terms = query.trim().toLowerCase();
+        return entries
+            .filter(entry => !terms || [entry.name, entry.scientificName, entry.family, ...entry.commonNames]
+                .some(value => value && value.toLowerCase().includes(terms)))
+            .sort((a, b) => b.identifiedAt - a.identifiedAt);
+    }
+
+    /**
+     * Delete a saved plant
+     * @param {number} id
+     */
+    async delete(id) {
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.warn('Failed to delete plant from herbarium:', error);
+        }
+    }
+
+    /**
+     * Rebuild a plant record (as used by PendantCreator) from a saved entry
+     * @param {Object} entry - Saved entry
+     * @returns {Promise<Object>} Plant
+     */
+    async restorePlant(entry) {
+        const mask = entry.maskData ? await this.loadImage(entry.maskData) : null;
+
+        return {
+            id: entry.id,
+            name: entry.name,
+            commonNames: entry.commonNames,
+            scientificName: entry.scientificName,
+            family: entry.family,
+            taxonomy: entry.taxonomy,
+            probability: entry.probability,
+            description: entry.description,
+            url: entry.url,
+            edibleParts: entry.edibleParts,
+            similarImages: entry.similarImages || [],
+            organs: entry.organs,
+            health: entry.health,
+            imageData: entry.imageData,
+            segmentation: mask ? { mask } : null,
+            timestamp: entry.identifiedAt,
+            confirmed: true,
+            source: entry.source
+        };
+    }
+
+    /**
+     * Downscale a photo for the gallery grid
+     * @param {string} imageData - Base64 JPEG
+     * @returns {Promise<string>} Base64 JPEG thumbnail
+     */
+    async createThumbnail(imageData) {
+        const img = await this.loadImage(`data:image/jpeg;base64,${imageData}`);
+        const scale = Math.min(1, CONFIG.herbarium.thumbnailSize / Math.max(img.width, img.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        return canvas.toDataURL('image/jpeg', 0.7).split(',')[1];
+    }
+
+    /**
+     * Load an image from a data URL
+     * @param {string} src
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+    }
+}
+
+// Export singleton instance
+export const herbarium = new Herbarium();
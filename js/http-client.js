@@ -0,0 +1,216 @@
+// HTTP Client Module
+// Shared request layer for Netlify Function calls: timeouts, retries with
+// exponential backoff, cancellation via AbortSignal, and typed errors
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Base class for all request failures
+ */
+export class APIError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} options
+     * @param {boolean} options.retryable - Whether retrying the request may succeed
+     */
+    constructor(message, { retryable = false } = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+export class HTTPError extends APIError {
+    /**
+     * @param {string} message
+     * @param {number} status
+     * @param {Object} body - Response body
+     * @param {number[]} retryStatuses - Statuses worth retrying
+     */
+    constructor(message, status, body = null, retryStatuses = CONFIG.network.retryStatuses) {
+        super(message, { retryable: retryStatuses.includes(status) });
+        this.name = 'HTTPError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+/**
+ * Thrown when a Netlify Function answers 429 Too Many Requests: either its own per-client
+ * limit, or a provider out of quota (passed through by the function)
+ */
+export class RateLimitError extends HTTPError {
+    /**
+     * @param {number} retryAfter - Seconds until the client may retry
+     * @param {Object} body - Response body
+     */
+    constructor(retryAfter, body = null) {
+        super(`Rate limit exceeded. Try again in ${retryAfter} seconds.`, 429, body);
+        this.name = 'RateLimitError';
+        this.retryable = false; // Retrying early only extends the lockout
+        this.retryAfter = retryAfter;
+        this.providerQuota = Boolean(body && body.providerStatus);
+    }
+}
+
+/**
+ * The request did not complete within its timeout
+ */
+export class TimeoutError extends APIError {
+    constructor(label, timeoutMs) {
+        super(`${label} timed out after ${timeoutMs}ms`, { retryable: true });
+        this.name = 'TimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * The request never reached the server (offline, DNS, CORS...)
+ */
+export class NetworkError extends APIError {
+    constructor(label, cause) {
+        super(`${label} network error: ${cause.message}`, { retryable: true });
+        this.name = 'NetworkError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * The caller aborted the request
+ */
+export class RequestCancelledError extends APIError {
+    constructor(label) {
+        super(`${label} was cancelled`);
+        this.name = 'RequestCancelledError';
+    }
+}
+
+class HttpClient {
+    /**
+     * Send a request and parse the JSON response
+     * @param {string} url
+     * @param {Object} options
+     * @param {string} options.method - HTTP method
+     * @param {Object} options.headers - Request headers
+     * @param {string} options.body - Request body
+     * @param {AbortSignal} options.signal - Cancels the request (and any pending retry)
+     * @param {string} options.profile - Key into CONFIG.network.profiles for timeout/retries/retryStatuses
+     * @param {string} options.label - Name used in error messages
+     * @returns {Promise<Object>} Parsed JSON body
+     */
+    async request(url, options = {}) {
+        const { signal, label = 'Request' } = options;
+        const profile = CONFIG.network.profiles[options.profile || 'default'];
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(url, {
+                    ...options,
+                    label,
+                    timeoutMs: profile.timeoutMs,
+                    retryStatuses: profile.retryStatuses || CONFIG.network.retryStatuses
+                });
+            } catch (error) {
+                if (!(error instanceof APIError) || !error.retryable || attempt >= profile.retries) {
+                    throw error;
+                }
+
+                const delay = this.getBackoffDelay(attempt);
+                console.warn(`${error.message}, retrying in ${delay}ms (${attempt + 1}/${profile.retries})`);
+                await this.sleep(delay, signal, label);
+            }
+        }
+    }
+
+    /**
+     * Make a single request attempt with a timeout
+     */
+    async attempt(url, { method = 'GET', headers, body, signal, timeoutMs, retryStatuses, label }) {
+        if (signal && signal.aborted) {
+            throw new RequestCancelledError(label);
+        }
+
+        // One controller aborts the fetch for both the timeout and the caller's signal
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        let response;
+        let data;
+
+        try {
+            response = await fetch(url, { method, headers, body, signal: controller.signal });
+            data = await response.json().catch(error => {
+                if (controller.signal.aborted) throw error;
+                return null; // Non-JSON body (e.g. a proxy error page)
+            });
+        } catch (error) {
+            if (timedOut) throw new TimeoutError(label, timeoutMs);
+            if (signal && signal.aborted) throw new RequestCancelledError(label);
+            throw new NetworkError(label, error);
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        if (response.status === 429) {
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            throw new RateLimitError(retryAfter > 0 ? retryAfter : 60, data);
+        }
+
+        if (!response.ok) {
+            throw new HTTPError(`${label} failed: ${response.status}`, response.status, data, retryStatuses);
+        }
+
+        if (data === null) {
+            throw new APIError(`${label} returned an invalid response`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Exponential backoff with full jitter
+     * @param {number} attempt - Zero-based retry number
+     * @returns {number} Delay in ms
+     */
+    getBackoffDelay(attempt) {
+        const { backoffBaseMs, backoffMaxMs } = CONFIG.network;
+        const ceiling = Math.min(backoffMaxMs, backoffBaseMs * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Wait before retrying, rejecting early if the caller cancels
+     */
+    sleep(ms, signal, label) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new RequestCancelledError(label));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new RequestCancelledError(label));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// Export singleton instance
+export const httpClient = new HttpClient();
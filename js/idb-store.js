@@ -0,0 +1,104 @@
+// IndexedDB Store Module
+// One database for everything kept on the device, with an object store per module.
+// When IndexedDB is unavailable, requests resolve to null and nothing persists.
+
+import { CONFIG } from '../config.js';
+
+// Object store name -> key path (null: the key is passed to put())
+// Adding a store needs a DB_VERSION bump; upgrades only create the stores that are missing.
+const STORES = {
+    cache: null,
+    plants: 'id',
+    gestures: 'id',
+    bindings: 'gesture',
+    scanner: null
+};
+
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+/**
+ * Open (or create) the database
+ * @returns {Promise<IDBDatabase|null>} Null when IndexedDB is unavailable
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not available, nothing will persist on this device');
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(CONFIG.storage.dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(STORES)
+                .filter(([name]) => !db.objectStoreNames.contains(name))
+                .forEach(([name, keyPath]) => db.createObjectStore(name, keyPath ? { keyPath } : undefined));
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer version of the app (in another tab) upgrade the database
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => {
+            console.warn('Failed to open database:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - One of STORES
+ * @param {IDBTransactionMode} mode
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null if the database is unavailable
+ */
+export async function runRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Visit every record of an object store within one transaction
+ * @param {string} storeName - One of STORES
+ * @param {IDBTransactionMode} mode - 'readwrite' lets visit() update or delete through the cursor
+ * @param {Function} visit - Called with each IDBCursorWithValue
+ * @returns {Promise<boolean>} False if the database is unavailable
+ */
+export async function forEachRecord(storeName, mode, visit) {
+    const db = await openDatabase();
+    if (!db) return false;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = transaction.objectStore(storeName).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            visit(cursor);
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
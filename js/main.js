@@ -4,10 +4,38 @@
 import * as THREE from 'three';
 import { CONFIG } from '../config.js';
 import { apiService } from './api-service.js';
-import { handTracking } from './hand-tracking.js';
+import { RateLimitError, TimeoutError, NetworkError, RequestCancelledError } from './http-client.js';
+import { handTracking, HANDS } from './hand-tracking.js';
+import { cameraSource } from './camera-source.js';
+import { gestureRecorder } from './gesture-recorder.js';
+import { customGestures } from './custom-gestures.js';
+import { gestureBindings } from './gesture-bindings.js';
 import { plantDetector } from './plant-detector.js';
+import { plantScanner } from './plant-scanner.js';
+import { FrameQualityError } from './frame-quality.js';
+import { herbarium } from './herbarium.js';
 import { orbCreator } from './orb-creator.js';
 import { pendantCreator } from './pendant-creator.js';
+import { plantCard, toSafeUrl } from './plant-card.js';
+
+// Display names for the pollutants reported by the air-quality function
+const POLLUTANT_LABELS = {
+    pm2_5: 'PM2.5',
+    pm10: 'PM10',
+    o3: 'O₃',
+    no2: 'NO₂',
+    co: 'CO'
+};
+
+// Built-in gestures that can be bound to actions, with their display names
+// (spread is always the bracelet resize, since it acts continuously)
+const BINDABLE_GESTURES = {
+    pinch: 'Pinch',
+    openHand: 'Open hand',
+    peace: 'Peace sign',
+    fist: 'Fist',
+    palmsTogether: 'Palms together'
+};
 
 class ARPlantGame {
     constructor() {
@@ -19,6 +47,10 @@ class ARPlantGame {
         this.videoElement = null;
         this.canvasElement = null;
         this.lastFrameTime = 0;
+        this.loadingCancelHandler = null;
+        this.braceletHand = null;      // Hand wearing the bracelet ('Left' or 'Right')
+        this.spreadBaseScale = 1;      // Bracelet scale when the current spread gesture started
+        this.isTrainingGesture = false;
 
         // UI elements
         this.ui = {};
@@ -33,14 +65,19 @@ class ARPlantGame {
         try {
             // Get UI elements
             this.initializeUI();
+            this.registerGestureActions();
 
             // Get video and canvas elements
             this.videoElement = document.getElementById('camera-feed');
             this.canvasElement = document.getElementById('ar-canvas');
+            cameraSource.attach(this.videoElement);
 
             // Initialize Three.js scene
             this.initializeThreeJS();
 
+            // Drop cached API responses from earlier sessions that are too old to serve
+            apiService.pruneCache();
+
             // Initialize plant detector
             this.updateStatus('Loading AI models...');
             await plantDetector.initialize();
@@ -83,12 +120,39 @@ class ARPlantGame {
             statusIndicator: document.getElementById('status-indicator'),
             statusText: document.querySelector('.status-text'),
             loadingSpinner: document.getElementById('loading-spinner'),
+            loadingCancelBtn: document.getElementById('loading-cancel-btn'),
             detectPlantBtn: document.getElementById('detect-plant-btn'),
+            autoScanBtn: document.getElementById('auto-scan-btn'),
+            healthModeBtn: document.getElementById('health-mode-btn'),
+            toastContainer: document.getElementById('toast-container'),
+            multiCaptureBtn: document.getElementById('multi-capture-btn'),
+            capturePanel: document.getElementById('capture-panel'),
+            closeCapturePanel: document.getElementById('close-capture-panel'),
+            organButtons: document.getElementById('organ-buttons'),
+            captureThumbnails: document.getElementById('capture-thumbnails'),
+            identifyCapturesBtn: document.getElementById('identify-captures-btn'),
+            herbariumBtn: document.getElementById('herbarium-btn'),
+            herbariumPanel: document.getElementById('herbarium-panel'),
+            closeHerbarium: document.getElementById('close-herbarium'),
+            herbariumSearch: document.getElementById('herbarium-search'),
+            herbariumList: document.getElementById('herbarium-list'),
+            gesturesBtn: document.getElementById('gestures-btn'),
+            gesturesPanel: document.getElementById('gestures-panel'),
+            closeGestures: document.getElementById('close-gestures'),
+            gestureName: document.getElementById('gesture-name'),
+            recordGestureBtn: document.getElementById('record-gesture-btn'),
+            gestureStatus: document.getElementById('gesture-status'),
+            gesturesList: document.getElementById('gestures-list'),
+            gestureBindingsList: document.getElementById('gesture-bindings'),
+            resetBindingsBtn: document.getElementById('reset-bindings-btn'),
             createOrbBtn: document.getElementById('create-orb-btn'),
+            createForecastBtn: document.getElementById('create-forecast-btn'),
             createPendantBtn: document.getElementById('create-pendant-btn'),
             tempValue: document.getElementById('temp-value'),
             weatherValue: document.getElementById('weather-value'),
-            aqiValue: document.getElementById('aqi-value')
+            aqiValue: document.getElementById('aqi-value'),
+            inputSourceSelect: document.getElementById('input-source-select'),
+            inputSourceFile: document.getElementById('input-source-file')
         };
 
         // Event listeners
@@ -98,9 +162,26 @@ class ARPlantGame {
             this.ui.continueBtn.addEventListener('click', () => this.onContinue());
         }
         this.ui.closePlantInfo.addEventListener('click', () => this.hidePlantInfo());
+        this.ui.loadingCancelBtn.addEventListener('click', () => this.cancelLoading());
         this.ui.detectPlantBtn.addEventListener('click', () => this.detectPlant());
+        this.ui.autoScanBtn.addEventListener('click', () => this.setAutoScan(!plantScanner.isScanning));
+        this.ui.healthModeBtn.addEventListener('click', () => this.setHealthMode(!plantDetector.healthMode));
+        this.ui.multiCaptureBtn.addEventListener('click', () => this.openCapturePanel());
+        this.ui.closeCapturePanel.addEventListener('click', () => this.closeCapturePanel());
+        this.ui.identifyCapturesBtn.addEventListener('click', () => this.identifyCaptures());
+        this.createOrganButtons();
+        this.ui.herbariumBtn.addEventListener('click', () => this.openHerbarium());
+        this.ui.closeHerbarium.addEventListener('click', () => this.closeHerbarium());
+        this.ui.herbariumSearch.addEventListener('input', () => this.renderHerbarium());
+        this.ui.gesturesBtn.addEventListener('click', () => this.openGestures());
+        this.ui.closeGestures.addEventListener('click', () => this.closeGestures());
+        this.ui.recordGestureBtn.addEventListener('click', () => this.trainGesture());
+        this.ui.resetBindingsBtn.addEventListener('click', () => this.resetGestureBindings());
         this.ui.createOrbBtn.addEventListener('click', () => this.createOrbManual());
+        this.ui.createForecastBtn.addEventListener('click', () => this.createForecastManual());
         this.ui.createPendantBtn.addEventListener('click', () => this.createPendantManual());
+        this.ui.inputSourceSelect.addEventListener('change', () => this.onInputSourceSelected());
+        this.ui.inputSourceFile.addEventListener('change', () => this.onInputFilesChosen());
 
         // Demo mode toggle
         const demoModeCheckbox = document.getElementById('demo-mode-checkbox');
@@ -115,6 +196,13 @@ class ARPlantGame {
                 }
             });
         }
+
+        // Developer shortcut: Shift+R records hand landmarks for gesture replay
+        window.addEventListener('keydown', (e) => {
+            if (e.shiftKey && e.key === 'R' && e.target === document.body) {
+                this.toggleGestureRecording();
+            }
+        });
     }
 
     /**
@@ -177,7 +265,12 @@ class ARPlantGame {
             console.error('Failed to start AR experience:', error);
             this.hideLoading();
             this.updateStatus('Failed to start');
-            alert('Failed to start AR experience. Please ensure camera permissions are granted.');
+            alert('Failed to start AR experience. Please ensure camera permissions are granted, '
+                + 'or choose a video file or image sequence as input.');
+
+            // The input picker lives on the instructions panel
+            this.ui.landingPanel.classList.add('hidden');
+            this.ui.instructionsPanel.classList.remove('hidden');
         }
     }
 
@@ -185,6 +278,11 @@ class ARPlantGame {
      * Continue to AR experience (Step 2: Initialize AR)
      */
     async onContinue() {
+        if (!cameraSource.isActive()) {
+            alert('Please choose an input source first.');
+            return;
+        }
+
         try {
             // Hide instructions
             this.ui.instructionsPanel.classList.add('hidden');
@@ -195,12 +293,19 @@ class ARPlantGame {
             this.updateStatus('Initializing hand tracking...');
             await handTracking.initialize(this.videoElement);
 
-            // Register gesture callbacks
-            handTracking.on('pinch', (position) => this.onPinchGesture(position));
-            handTracking.on('openHand', (position) => this.onOpenHandGesture(position));
-            handTracking.on('peace', (position) => this.onPeaceGesture(position));
+            // Register gesture callbacks: the bracelet resize is fixed, other gestures run their bound action
+            handTracking.on('spread:start', () => this.onSpreadStart());
+            handTracking.on('spread:hold', (position, landmarks, event) => this.onSpreadHold(event));
+            await customGestures.load();
+            await gestureBindings.load();
+            this.listenForGestures();
+
+            // Register automatic detection callbacks
+            plantScanner.on('plant', (plant) => this.onPlantScanned(plant));
+            plantScanner.on('error', (error) => this.onScanError(error));
 
             this.isRunning = true;
+            this.setAutoScan(CONFIG.scanner.enabled);
             this.hideLoading();
             this.updateStatus('AR Active');
 
@@ -220,24 +325,12 @@ class ARPlantGame {
     }
 
     /**
-     * Start camera
+     * Start the camera, or the clip requested in the page URL
      */
     async startCamera() {
         try {
-            console.log('Requesting camera permission...');
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    facingMode: 'environment',
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 }
-                }
-            });
-
-            console.log('Camera permission granted, starting video...');
-            this.videoElement.srcObject = stream;
-            await this.videoElement.play();
-
-            console.log('Camera started successfully');
+            await cameraSource.startFromUrl();
+            this.ui.inputSourceSelect.value = cameraSource.type;
             return true;
         } catch (error) {
             console.error('Camera access failed:', error);
@@ -245,29 +338,596 @@ class ARPlantGame {
         }
     }
 
+    /**
+     * Switch input source from the picker; files are chosen before video and image sources start
+     */
+    async onInputSourceSelected() {
+        const type = this.ui.inputSourceSelect.value;
+
+        if (type === 'camera') {
+            try {
+                await cameraSource.startCamera();
+            } catch (error) {
+                console.error('Camera access failed:', error);
+                alert('Camera unavailable. Please choose a video file or image sequence.');
+            }
+            return;
+        }
+
+        this.ui.inputSourceFile.accept = type === 'video' ? 'video/*' : 'image/*';
+        this.ui.inputSourceFile.multiple = type === 'images';
+        this.ui.inputSourceFile.value = '';
+        this.ui.inputSourceFile.click();
+    }
+
+    /**
+     * Start the chosen video file or image sequence
+     */
+    async onInputFilesChosen() {
+        const files = Array.from(this.ui.inputSourceFile.files);
+        if (files.length === 0) return;
+
+        try {
+            if (this.ui.inputSourceSelect.value === 'video') {
+                await cameraSource.startVideo(files[0]);
+            } else {
+                await cameraSource.startImageSequence(files);
+            }
+        } catch (error) {
+            console.error('Failed to start input source:', error);
+            alert('Could not play the chosen files.');
+        }
+    }
+
     /**
      * Detect plant
+     * @param {Array<{imageData: string, organ: string}>} images - Organ-tagged photos (optional)
+     * @returns {Promise<Object|null>} Identified plant, or null on failure
      */
-    async detectPlant() {
-        if (!this.isRunning) return;
+    async detectPlant(images = null) {
+        if (!this.isRunning) return null;
+
+        if (plantDetector.isProcessing) {
+            this.showToast('Already identifying a plant, one moment...');
+            return null;
+        }
 
         try {
-            this.showLoading('Identifying plant...');
+            this.showLoading('Identifying plant...', () => plantDetector.cancelIdentification());
 
-            const plant = await plantDetector.identifyPlant(this.videoElement);
+            const plant = await plantDetector.identifyPlant(this.videoElement, images);
 
             if (plant) {
                 this.showPlantInfo(plant);
-                this.ui.createPendantBtn.disabled = false;
+                this.ui.createPendantBtn.disabled = !plant.confirmed;
+                if (plant.offline) {
+                    this.showToast('Offline guess only. Check the species before saving.');
+                }
+                if (!plant.confirmed) {
+                    this.updateStatus('Confirm the species');
+                }
             } else {
                 alert('No plant detected. Please point your camera at a plant.');
             }
 
             this.hideLoading();
+            return plant;
         } catch (error) {
+            this.hideLoading();
+
+            if (error instanceof RequestCancelledError) {
+                console.log('Plant identification cancelled');
+                this.updateStatus('AR Active');
+                return null;
+            }
+
+            // Bad frame, nothing was uploaded: ask for another shot
+            if (error instanceof FrameQualityError) {
+                this.showToast(error.message, {
+                    actionLabel: 'Retake',
+                    onAction: () => this.detectPlant()
+                });
+                return null;
+            }
+
             console.error('Plant detection failed:', error);
+
+            if (error instanceof RateLimitError) {
+                this.showRateLimited(error);
+            } else if (error instanceof TimeoutError) {
+                alert('Plant identification timed out. Check your connection and try again.');
+            } else if (error instanceof NetworkError) {
+                alert('Could not reach the identification service. Check your connection and try again.');
+            } else {
+                alert('Plant detection failed. Please try again.');
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Turn automatic plant detection on or off
+     * @param {boolean} enabled
+     */
+    setAutoScan(enabled) {
+        if (enabled) {
+            plantScanner.start(this.videoElement);
+        } else {
+            plantScanner.stop();
+        }
+
+        this.ui.autoScanBtn.classList.toggle('active', enabled);
+        this.ui.autoScanBtn.title = enabled ? 'Automatic Detection: On' : 'Automatic Detection: Off';
+    }
+
+    /**
+     * Turn health mode on or off (identifications also check for diseases and pests)
+     * @param {boolean} enabled
+     */
+    setHealthMode(enabled) {
+        if (enabled) {
+            plantDetector.enableHealthMode();
+        } else {
+            plantDetector.disableHealthMode();
+        }
+
+        this.ui.healthModeBtn.classList.toggle('active', enabled);
+        this.ui.healthModeBtn.title = enabled ? 'Health Check: On' : 'Health Check: Off';
+        this.showToast(enabled
+            ? 'Health check on: plants are also checked for diseases and pests.'
+            : 'Health check off.');
+    }
+
+    /**
+     * Start or stop recording a gesture session; stopping downloads it as JSON
+     */
+    toggleGestureRecording() {
+        if (!gestureRecorder.isRecording()) {
+            gestureRecorder.start();
+            this.showToast('Recording hand landmarks. Press Shift+R to stop.');
+            return;
+        }
+
+        const session = gestureRecorder.stop();
+        gestureRecorder.download(session);
+        this.showToast(`Saved gesture session (${session.frames.length} frames, ${session.events.length} gestures)`);
+    }
+
+    /**
+     * Announce a plant found by the scanner without interrupting the user
+     * @param {Object} plant
+     */
+    onPlantScanned(plant) {
+        const name = plant.commonNames && plant.commonNames.length > 0 ? plant.commonNames[0] : plant.name;
+        const confidence = Math.round(plant.probability * 100);
+
+        if (plant.confirmed) {
+            this.ui.createPendantBtn.disabled = false;
+        }
+
+        const offline = plant.offline ? ', offline guess' : '';
+        const health = plant.health && !plant.health.isHealthy ? ', may be unhealthy' : '';
+        this.showToast(`Found ${name} (${confidence}%${offline}${health})`, {
+            actionLabel: plant.confirmed ? 'View' : 'Confirm',
+            onAction: () => this.showPlantInfo(plant)
+        });
+    }
+
+    /**
+     * Report automatic detection failures without a modal
+     * @param {Error} error
+     */
+    onScanError(error) {
+        console.warn('Automatic plant detection failed:', error);
+
+        if (error instanceof RateLimitError) {
+            this.showToast(`Automatic detection paused for ${error.retryAfter} seconds (rate limit).`);
+        }
+    }
+
+    /**
+     * Create one capture button per plant organ
+     */
+    createOrganButtons() {
+        CONFIG.capture.organs.forEach(organ => {
+            const button = document.createElement('button');
+            button.className = 'organ-btn';
+            button.dataset.organ = organ.id;
+
+            const icon = document.createElement('span');
+            icon.className = 'material-symbols-outlined';
+            icon.textContent = organ.icon;
+
+            const label = document.createElement('span');
+            label.textContent = organ.label;
+
+            button.append(icon, label);
+            button.addEventListener('click', () => this.captureOrgan(organ.id));
+            this.ui.organButtons.appendChild(button);
+        });
+    }
+
+    /**
+     * Show multi-photo capture panel
+     */
+    openCapturePanel() {
+        if (!this.isRunning) return;
+
+        this.renderCaptures();
+        this.ui.capturePanel.classList.remove('hidden');
+    }
+
+    /**
+     * Hide multi-photo capture panel (captures are kept until identified)
+     */
+    closeCapturePanel() {
+        this.ui.capturePanel.classList.add('hidden');
+    }
+
+    /**
+     * Capture the current frame tagged with an organ
+     * @param {string} organ
+     */
+    async captureOrgan(organ) {
+        let capture;
+        try {
+            capture = await plantDetector.addCapture(this.videoElement, organ);
+        } catch (error) {
+            if (error instanceof FrameQualityError) {
+                this.showToast(error.message);
+                return;
+            }
+
+            console.error('Photo capture failed:', error);
+            alert('Could not capture the photo. Please try again.');
+            return;
+        }
+
+        if (!capture) {
+            alert(`You can capture up to ${CONFIG.capture.maxImages} photos per identification.`);
+            return;
+        }
+
+        this.renderCaptures();
+    }
+
+    /**
+     * Render capture thumbnails with remove buttons
+     */
+    renderCaptures() {
+        const captures = plantDetector.getCaptures();
+        const organLabels = Object.fromEntries(CONFIG.capture.organs.map(organ => [organ.id, organ.label]));
+
+        this.ui.captureThumbnails.replaceChildren(...captures.map(capture => {
+            const item = document.createElement('div');
+            item.className = 'capture-thumbnail';
+
+            const img = document.createElement('img');
+            img.src = `data:image/jpeg;base64,${capture.imageData}`;
+            img.alt = organLabels[capture.organ];
+
+            const label = document.createElement('span');
+            label.className = 'capture-organ';
+            label.textContent = organLabels[capture.organ];
+
+            const remove = document.createElement('button');
+            remove.className = 'capture-remove';
+            remove.title = 'Remove photo';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => {
+                plantDetector.removeCapture(capture.id);
+                this.renderCaptures();
+            });
+
+            item.append(img, label, remove);
+            return item;
+        }));
+
+        const isFull = captures.length >= CONFIG.capture.maxImages;
+        this.ui.organButtons.querySelectorAll('.organ-btn').forEach(button => {
+            button.disabled = isFull;
+        });
+        this.ui.identifyCapturesBtn.disabled = captures.length === 0;
+        this.ui.identifyCapturesBtn.textContent = captures.length > 0
+            ? `Identify (${captures.length} photo${captures.length > 1 ? 's' : ''})`
+            : 'Identify';
+    }
+
+    /**
+     * Identify the plant from all captured photos together
+     */
+    async identifyCaptures() {
+        const captures = plantDetector.getCaptures();
+        if (captures.length === 0) return;
+
+        this.closeCapturePanel();
+        const plant = await this.detectPlant(captures);
+
+        // Start fresh once the photos have been used; keep them to retry on failure
+        if (plant) {
+            plantDetector.clearCaptures();
+        }
+    }
+
+    /**
+     * Show the saved plant gallery
+     */
+    openHerbarium() {
+        this.renderHerbarium();
+        this.ui.herbariumPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the saved plant gallery
+     */
+    closeHerbarium() {
+        this.ui.herbariumPanel.classList.add('hidden');
+    }
+
+    /**
+     * Render saved plants matching the search box
+     */
+    async renderHerbarium() {
+        const query = this.ui.herbariumSearch.value;
+        const entries = await herbarium.list(query);
+
+        // A newer search may have rendered while this one was reading
+        if (query !== this.ui.herbariumSearch.value) return;
+
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'herbarium-empty';
+            empty.textContent = query.trim()
+                ? 'No saved plants match your search.'
+                : 'Confirmed plants will be saved here.';
+            this.ui.herbariumList.replaceChildren(empty);
+            return;
+        }
+
+        this.ui.herbariumList.replaceChildren(...entries.map(entry => {
+            const item = document.createElement('div');
+            item.className = 'herbarium-item';
+
+            const img = document.createElement('img');
+            img.src = `data:image/jpeg;base64,${entry.thumbnail}`;
+            img.alt = entry.name;
+
+            const name = document.createElement('span');
+            name.className = 'herbarium-name';
+            name.textContent = entry.commonNames.length > 0 ? entry.commonNames[0] : entry.name;
+
+            const scientific = document.createElement('em');
+            scientific.textContent = entry.scientificName || entry.name;
+
+            const details = document.createElement('span');
+            const location = entry.location
+                ? ` · ${entry.location.lat.toFixed(2)}, ${entry.location.lon.toFixed(2)}`
+                : '';
+            details.textContent = `${new Date(entry.identifiedAt).toLocaleDateString()}${location} · ${entry.source}`;
+
+            const spawn = document.createElement('button');
+            spawn.className = 'btn-secondary';
+            spawn.textContent = 'Show as pendant';
+            spawn.disabled = !this.isRunning;
+            spawn.addEventListener('click', () => this.spawnSavedPlant(entry));
+
+            const remove = document.createElement('button');
+            remove.className = 'herbarium-delete';
+            remove.title = 'Delete plant';
+            remove.textContent = '×';
+            remove.addEventListener('click', async () => {
+                if (!confirm(`Delete ${name.textContent} from your plants?`)) return;
+                await herbarium.delete(entry.id);
+                this.renderHerbarium();
+            });
+
+            item.append(img, name, scientific, details, spawn, remove);
+            return item;
+        }));
+    }
+
+    /**
+     * Make app actions available for gesture bindings
+     */
+    registerGestureActions() {
+        gestureBindings.registerAction('createOrb', 'Create orb', (position) => this.onPinchGesture(position));
+        gestureBindings.registerAction('pendantOrBracelet', 'Pendant, or bracelet without a plant',
+            (position, event) => this.onOpenHandGesture(position, event.hand));
+        gestureBindings.registerAction('createPendant', 'Create pendant', (position) => this.createPendantAtHand(position));
+        gestureBindings.registerAction('attachToWrist', 'Attach to wrist', (position, event) => {
+            this.setBraceletHand(event.hand);
+            this.attachAllObjectsToWrist();
+        });
+        gestureBindings.registerAction('createForecast', 'Create forecast strand', () => this.createForecastManual());
+        gestureBindings.registerAction('mergeOrbs', 'Merge orbs', () => this.onPalmsTogether());
+        gestureBindings.registerAction('clear', 'Clear AR objects', (position) => this.onPeaceGesture(position));
+        gestureBindings.registerAction('detectPlant', 'Identify plant', () => this.detectPlant());
+        gestureBindings.registerAction('undo', 'Undo last object', () => this.undoLastObject());
+        gestureBindings.registerAction('screenshot', 'Take screenshot', () => this.takeScreenshot());
+    }
+
+    /**
+     * Run bound actions for the built-in and custom gestures
+     */
+    listenForGestures() {
+        gestureBindings.listen([
+            ...Object.keys(BINDABLE_GESTURES),
+            ...customGestures.gestures.map(gesture => gesture.id)
+        ]);
+    }
+
+    /**
+     * Show the gesture settings and trainer
+     */
+    openGestures() {
+        this.renderGestures();
+        this.ui.gesturesPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the gesture settings and trainer
+     */
+    closeGestures() {
+        this.ui.gesturesPanel.classList.add('hidden');
+    }
+
+    /**
+     * Create a dropdown choosing the action for a gesture
+     * @param {string} gesture - Gesture name or custom gesture id
+     * @returns {HTMLSelectElement}
+     */
+    createBindingSelect(gesture) {
+        const select = document.createElement('select');
+        select.className = 'gesture-action';
+        select.title = 'Action';
+        select.append(new Option('No action', ''));
+        gestureBindings.getActions().forEach(action => select.append(new Option(action.label, action.name)));
+        select.value = gestureBindings.getBinding(gesture) || '';
+        select.addEventListener('change', () => gestureBindings.setBinding(gesture, select.value || null));
+        return select;
+    }
+
+    /**
+     * Render gesture bindings and trained gestures
+     */
+    renderGestures() {
+        this.ui.gestureBindingsList.replaceChildren(...Object.entries(BINDABLE_GESTURES).map(([gesture, name]) => {
+            const item = document.createElement('div');
+            item.className = 'gesture-item';
+
+            const label = document.createElement('span');
+            label.className = 'gesture-label';
+            label.textContent = name;
+
+            item.append(label, this.createBindingSelect(gesture));
+            return item;
+        }));
+
+        this.ui.recordGestureBtn.disabled = !this.isRunning || this.isTrainingGesture;
+
+        if (customGestures.gestures.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'herbarium-empty';
+            empty.textContent = this.isRunning
+                ? 'Gestures you train will appear here.'
+                : 'Start AR to train gestures.';
+            this.ui.gesturesList.replaceChildren(empty);
+            return;
+        }
+
+        this.ui.gesturesList.replaceChildren(...customGestures.gestures.map(gesture => {
+            const item = document.createElement('div');
+            item.className = 'gesture-item';
+
+            const label = document.createElement('span');
+            label.className = 'gesture-label';
+            label.textContent = gesture.label;
+
+            const samples = document.createElement('span');
+            samples.textContent = `${gesture.samples.length} samples`;
+
+            const more = document.createElement('button');
+            more.className = 'btn-secondary';
+            more.textContent = 'Add samples';
+            more.disabled = !this.isRunning || this.isTrainingGesture;
+            more.addEventListener('click', () => this.trainGesture(gesture.id));
+
+            const remove = document.createElement('button');
+            remove.className = 'herbarium-delete';
+            remove.title = 'Delete gesture';
+            remove.textContent = '×';
+            remove.addEventListener('click', async () => {
+                if (!confirm(`Delete the ${gesture.label} gesture?`)) return;
+                await customGestures.delete(gesture.id);
+                await gestureBindings.removeBinding(gesture.id);
+                this.listenForGestures();
+                this.renderGestures();
+            });
+
+            item.append(label, samples, this.createBindingSelect(gesture.id), more, remove);
+            return item;
+        }));
+    }
+
+    /**
+     * Restore the default gesture bindings
+     */
+    async resetGestureBindings() {
+        if (!confirm('Reset all gestures to their default actions?')) return;
+
+        await gestureBindings.reset();
+        this.renderGestures();
+    }
+
+    /**
+     * Record samples for a new gesture (named in the panel) or more samples for an existing one
+     * @param {string|null} id - Existing gesture id
+     */
+    async trainGesture(id = null) {
+        if (!this.isRunning || this.isTrainingGesture) return;
+
+        const label = this.ui.gestureName.value.trim();
+        if (!id && !label) {
+            this.ui.gestureStatus.textContent = 'Give the gesture a name first';
+            return;
+        }
+
+        // Don't act on gestures while recording a pose
+        this.isTrainingGesture = true;
+        gestureBindings.paused = true;
+        this.renderGestures();
+
+        try {
+            // Countdown to get into the pose
+            for (let seconds = Math.ceil(CONFIG.customGestures.countdownMs / 1000); seconds > 0; seconds--) {
+                this.ui.gestureStatus.textContent = `Hold the pose in view... ${seconds}`;
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+
+            const samples = await customGestures.recordSamples((recorded, total) => {
+                this.ui.gestureStatus.textContent = `Recording ${recorded}/${total}`;
+            });
+
+            const gesture = id
+                ? await customGestures.addSamples(id, samples)
+                : await customGestures.create(label, samples);
+
+            this.listenForGestures();
+            this.ui.gestureName.value = '';
+            this.ui.gestureStatus.textContent = `Saved ${gesture.label}. Choose what it does below.`;
+        } catch (error) {
+            console.warn('Gesture training failed:', error);
+            this.ui.gestureStatus.textContent = error.message;
+        } finally {
+            this.isTrainingGesture = false;
+            gestureBindings.paused = false;
+            this.renderGestures();
+        }
+    }
+
+    /**
+     * Re-create a saved plant as a pendant in front of the camera
+     * @param {Object} entry - Saved herbarium entry
+     */
+    async spawnSavedPlant(entry) {
+        if (!this.isRunning) return;
+
+        try {
+            this.closeHerbarium();
+            this.showLoading('Creating plant pendant...');
+
+            const plant = await herbarium.restorePlant(entry);
+            const position = new THREE.Vector3(0, 0, -CONFIG.ar.pendantDistance);
+            position.applyQuaternion(this.camera.quaternion);
+            position.add(this.camera.position);
+
+            await pendantCreator.createPendant(position, plant);
+
+            this.hideLoading();
+        } catch (error) {
+            console.error('Failed to create pendant from saved plant:', error);
             this.hideLoading();
-            alert('Plant detection failed. Please try again.');
+            alert('Failed to create pendant. Please try again.');
         }
     }
 
@@ -296,10 +956,51 @@ class ARPlantGame {
         } catch (error) {
             console.error('Orb creation failed:', error);
             this.hideLoading();
+
+            if (error instanceof RateLimitError) {
+                this.showRateLimited(error);
+                return;
+            }
+
             alert('Failed to create orb. Please try again.');
         }
     }
 
+    /**
+     * Create a strand of forecast orbs (next hours, left to right)
+     */
+    async createForecastManual() {
+        if (!this.isRunning) return;
+
+        try {
+            this.showLoading('Creating forecast orbs...');
+
+            // Center the strand in front of camera, running along the camera's right vector
+            const position = new THREE.Vector3(0, 0, -CONFIG.ar.orbDistance);
+            position.applyQuaternion(this.camera.quaternion);
+            position.add(this.camera.position);
+            const direction = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
+
+            const orbs = await orbCreator.createForecastStrand(position, direction);
+
+            // Show conditions for the first (current) step
+            const firstOrb = orbs[0];
+            this.updateEnvironmentalData(firstOrb.userData.weatherData, firstOrb.userData.airQualityData);
+
+            this.hideLoading();
+        } catch (error) {
+            console.error('Forecast strand creation failed:', error);
+            this.hideLoading();
+
+            if (error instanceof RateLimitError) {
+                this.showRateLimited(error);
+                return;
+            }
+
+            alert('Failed to load the forecast. Please try again.');
+        }
+    }
+
     /**
      * Create pendant manually (fallback for devices without hand tracking)
      */
@@ -308,7 +1009,9 @@ class ARPlantGame {
 
         const plant = plantDetector.getLatestPlant();
         if (!plant) {
-            alert('Please detect a plant first.');
+            alert(plantDetector.getPendingPlant()
+                ? 'Please confirm the species in the plant panel first.'
+                : 'Please detect a plant first.');
             return;
         }
 
@@ -350,6 +1053,12 @@ class ARPlantGame {
             this.updateStatus('AR Active');
         } catch (error) {
             console.error('Failed to create orb from gesture:', error);
+
+            if (error instanceof RateLimitError) {
+                this.showRateLimited(error);
+                return;
+            }
+
             this.updateStatus('Orb creation failed');
 
             // Reset status after brief delay
@@ -361,9 +1070,12 @@ class ARPlantGame {
 
     /**
      * Handle open hand gesture
+     * @param {Object} handPosition
+     * @param {string} hand - The open hand, which the bracelet forms around
      */
-    async onOpenHandGesture(handPosition) {
-        console.log('Open hand gesture detected');
+    async onOpenHandGesture(handPosition, hand) {
+        console.log(`Open hand gesture detected (${hand})`);
+        this.setBraceletHand(hand);
 
         const plant = plantDetector.getLatestPlant();
 
@@ -384,6 +1096,101 @@ class ARPlantGame {
         }
     }
 
+    /**
+     * Choose the wrist the bracelet follows
+     * @param {string} hand - 'Left' or 'Right'; anything else (a two-hand gesture) keeps the current wrist
+     */
+    setBraceletHand(hand) {
+        if (HANDS.includes(hand)) {
+            this.braceletHand = hand;
+        }
+    }
+
+    /**
+     * Create a pendant for the detected plant at the hand
+     * @param {Object} handPosition
+     */
+    async createPendantAtHand(handPosition) {
+        if (!plantDetector.getLatestPlant()) {
+            this.showToast('Identify a plant first to create a pendant');
+            return;
+        }
+
+        try {
+            await pendantCreator.createPendant(this.handPositionToARSpace(handPosition));
+        } catch (error) {
+            console.error('Failed to create pendant from gesture:', error);
+        }
+    }
+
+    /**
+     * Remove the most recently created orb or pendant (a forecast strand counts as one object)
+     */
+    undoLastObject() {
+        const latest = [...orbCreator.getAllOrbs(), ...pendantCreator.getAllPendants()]
+            .reduce((newest, object) => (!newest || object.userData.createdAt >= newest.userData.createdAt ? object : newest), null);
+
+        if (!latest) {
+            this.showToast('Nothing to undo');
+            return;
+        }
+
+        if (latest.userData.type === 'pendant') {
+            pendantCreator.removePendant(latest);
+        } else {
+            const { strandId } = latest.userData;
+            const orbs = strandId
+                ? orbCreator.getAllOrbs().filter(orb => orb.userData.strandId === strandId)
+                : [latest];
+            pendantCreator.removeConnectionsTo(orbs);
+            orbs.forEach(orb => orbCreator.removeOrb(orb));
+        }
+
+        // Re-form the bracelet without the removed object
+        if (orbCreator.isWristTracking) {
+            orbCreator.detachOrbsFromWrist();
+            this.attachAllObjectsToWrist();
+        }
+
+        this.updateStatus('Removed last object');
+        setTimeout(() => this.updateStatus('AR Active'), 2000);
+    }
+
+    /**
+     * Save the camera view with the AR objects as a PNG download
+     */
+    takeScreenshot() {
+        const arCanvas = this.renderer.domElement;
+        const canvas = document.createElement('canvas');
+        canvas.width = arCanvas.width;
+        canvas.height = arCanvas.height;
+        const ctx = canvas.getContext('2d');
+
+        // Camera frame, cropped like the video element (object-fit: cover)
+        const video = this.videoElement;
+        if (video.videoWidth && video.videoHeight) {
+            const scale = Math.max(canvas.width / video.videoWidth, canvas.height / video.videoHeight);
+            const width = video.videoWidth * scale;
+            const height = video.videoHeight * scale;
+            ctx.drawImage(video, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+        }
+
+        // Render now: the WebGL drawing buffer is cleared once a frame has been shown
+        this.renderer.render(this.scene, this.camera);
+        ctx.drawImage(arCanvas, 0, 0);
+
+        canvas.toBlob(blob => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `plant-ar-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            this.showToast('Screenshot saved');
+        }, 'image/png');
+    }
+
     /**
      * Attach all AR objects (orbs and pendants) to wrist in bracelet formation
      */
@@ -416,6 +1223,50 @@ class ARPlantGame {
         setTimeout(() => this.updateStatus('AR Active'), 2000);
     }
 
+    /**
+     * Handle spread start - remember the bracelet size to scale from
+     */
+    onSpreadStart() {
+        if (!orbCreator.isWristTracking) return;
+
+        this.spreadBaseScale = orbCreator.braceletScale;
+        this.updateStatus('Resizing bracelet');
+    }
+
+    /**
+     * Handle spread hold - scale the bracelet with the distance between the pinches
+     * @param {{scale: number}} event - Distance relative to the start of the gesture
+     */
+    onSpreadHold(event) {
+        if (!orbCreator.isWristTracking) return;
+
+        orbCreator.setBraceletScale(this.spreadBaseScale * event.scale);
+    }
+
+    /**
+     * Handle palms together - merge all orbs into one
+     */
+    onPalmsTogether() {
+        const orbs = orbCreator.getAllOrbs();
+        if (orbs.length < 2) return;
+
+        console.log('Palms together - merging orbs');
+        const wasOnWrist = orbCreator.isWristTracking;
+
+        pendantCreator.removeConnectionsTo(orbs);
+        const merged = orbCreator.mergeOrbs();
+
+        if (wasOnWrist) {
+            this.attachAllObjectsToWrist();
+        } else {
+            pendantCreator.getAllPendants().forEach(pendant => pendantCreator.connectToOrbs(pendant));
+        }
+
+        this.updateEnvironmentalData(merged.userData.weatherData, merged.userData.airQualityData);
+        this.updateStatus(`Merged ${merged.userData.mergedFrom} orbs`);
+        setTimeout(() => this.updateStatus('AR Active'), 2000);
+    }
+
     /**
      * Handle peace gesture - clear all AR objects
      */
@@ -463,7 +1314,7 @@ class ARPlantGame {
         this.lastFrameTime = currentTime;
 
         // Update wrist tracking for orbs
-        const wristLandmarks = handTracking.getWristLandmarks();
+        const wristLandmarks = handTracking.getWristLandmarks(this.braceletHand);
         if (wristLandmarks) {
             orbCreator.updateWristPosition(wristLandmarks);
         }
@@ -492,17 +1343,167 @@ class ARPlantGame {
         else if (aqi > 100) aqiLabel = 'Unhealthy';
         else if (aqi > 50) aqiLabel = 'Moderate';
 
-        this.ui.aqiValue.textContent = `${aqi} (${aqiLabel})`;
+        // Name the pollutant driving the reading when the server reports it
+        const pollutant = POLLUTANT_LABELS[airQualityData.dominantPollutant];
+        this.ui.aqiValue.textContent = pollutant
+            ? `${aqi} (${aqiLabel}) · ${pollutant}`
+            : `${aqi} (${aqiLabel})`;
+        this.ui.aqiValue.title = this.formatSubIndices(airQualityData.subIndices);
+    }
+
+    /**
+     * Format per-pollutant AQI sub-indices, e.g. "PM2.5 48 · O₃ 27"
+     */
+    formatSubIndices(subIndices) {
+        if (!subIndices) return '';
+
+        return Object.entries(subIndices)
+            .filter(([, value]) => value !== null)
+            .sort((a, b) => b[1] - a[1])
+            .map(([pollutant, value]) => `${POLLUTANT_LABELS[pollutant] || pollutant} ${value}`)
+            .join(' · ');
     }
 
     /**
      * Show plant info panel
      */
     showPlantInfo(plant) {
-        this.ui.plantInfoContent.innerHTML = plantDetector.formatPlantInfo(plant);
+        this.ui.plantInfoContent.replaceChildren(plantCard.create(plant));
+
+        const suitabilityLine = document.createElement('p');
+        suitabilityLine.className = 'suitability-line';
+        this.ui.plantInfoContent.appendChild(suitabilityLine);
+        plantCard.renderSuitability(plant, suitabilityLine);
+
+        if (plant.offline) {
+            const notice = document.createElement('p');
+            notice.className = 'offline-notice';
+            notice.textContent = 'Offline guess: the identification services could not be reached, '
+                + 'so this was guessed on your device from a small set of common houseplants. '
+                + 'Treat it as low confidence.';
+            this.ui.plantInfoContent.prepend(notice);
+        }
+
+        if (plant.health) {
+            this.ui.plantInfoContent.appendChild(plantCard.createHealthSection(plant.health));
+        }
+
+        // Unconfirmed plants always get the picker, even with a single candidate, or they could never be confirmed
+        if (plant.candidates && (plant.candidates.length > 1 || !plant.confirmed)) {
+            this.ui.plantInfoContent.appendChild(this.createCandidatePicker(plant));
+        }
+
+        const careCard = document.createElement('div');
+        careCard.className = 'care-card';
+        this.ui.plantInfoContent.appendChild(careCard);
+        plantCard.renderCareCard(plant, careCard);
+
         this.ui.plantInfoPanel.classList.remove('hidden');
     }
 
+    /**
+     * Build the list of top candidates so the user can confirm or correct the match
+     * @param {Object} plant - Detected plant
+     * @returns {HTMLElement}
+     */
+    createCandidatePicker(plant) {
+        let selectedIndex = plant.selectedCandidate;
+
+        const picker = document.createElement('div');
+        picker.className = 'candidate-picker';
+
+        const heading = document.createElement('p');
+        heading.className = 'candidate-heading';
+        heading.textContent = plant.confirmed
+            ? 'Other possible matches'
+            : 'Not sure about this one. Which plant is it?';
+
+        const list = document.createElement('ul');
+        list.className = 'candidate-list';
+
+        const items = plant.candidates.map((candidate, index) => {
+            const item = document.createElement('li');
+            item.className = 'candidate-item';
+            item.classList.toggle('selected', index === selectedIndex);
+            item.addEventListener('click', () => {
+                selectedIndex = index;
+                items.forEach((other, i) => other.classList.toggle('selected', i === index));
+                confirmBtn.disabled = plant.confirmed && index === plant.selectedCandidate;
+            });
+
+            const name = document.createElement('span');
+            name.className = 'candidate-name';
+            name.textContent = candidate.commonNames.length > 0 ? candidate.commonNames[0] : candidate.name;
+
+            const scientific = document.createElement('em');
+            scientific.className = 'candidate-scientific';
+            scientific.textContent = candidate.scientificName || candidate.name;
+
+            const score = document.createElement('span');
+            score.className = 'candidate-score';
+            score.textContent = `${Math.round(candidate.score * 100)}%`;
+
+            const images = document.createElement('div');
+            images.className = 'candidate-images';
+            candidate.similarImages
+                .map(image => toSafeUrl(image.thumbnailUrl || image.url))
+                .filter(Boolean)
+                .slice(0, 3)
+                .forEach(url => {
+                    const img = document.createElement('img');
+                    img.src = url;
+                    img.alt = candidate.name;
+                    img.loading = 'lazy';
+                    images.appendChild(img);
+                });
+
+            item.append(name, score, scientific, images);
+            return item;
+        });
+        list.append(...items);
+
+        const actions = document.createElement('div');
+        actions.className = 'candidate-actions';
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.className = 'btn-primary';
+        confirmBtn.textContent = plant.confirmed ? 'Change species' : 'Confirm';
+        confirmBtn.disabled = plant.confirmed;
+        confirmBtn.addEventListener('click', () => this.confirmCandidate(plant, selectedIndex));
+
+        const rejectBtn = document.createElement('button');
+        rejectBtn.className = 'btn-secondary';
+        rejectBtn.textContent = 'None of these';
+        rejectBtn.addEventListener('click', () => this.rejectPlant(plant));
+
+        actions.append(confirmBtn, rejectBtn);
+        picker.append(heading, list, actions);
+        return picker;
+    }
+
+    /**
+     * Confirm the chosen candidate as the plant's species
+     * @param {Object} plant - Detected plant
+     * @param {number} index - Index into plant.candidates
+     */
+    confirmCandidate(plant, index) {
+        plantDetector.selectCandidate(plant, index);
+        this.showPlantInfo(plant);
+        this.ui.createPendantBtn.disabled = false;
+        this.updateStatus('AR Active');
+    }
+
+    /**
+     * Discard a detection the user says is wrong
+     * @param {Object} plant - Detected plant
+     */
+    rejectPlant(plant) {
+        plantDetector.rejectPlant(plant);
+        this.hidePlantInfo();
+        this.ui.createPendantBtn.disabled = !plantDetector.getLatestPlant();
+        this.updateStatus('AR Active');
+    }
+
     /**
      * Hide plant info panel
      */
@@ -517,11 +1518,58 @@ class ARPlantGame {
         this.ui.statusText.textContent = text;
     }
 
+    /**
+     * Tell the user to slow down after hitting the API rate limit
+     * @param {RateLimitError} error
+     */
+    showRateLimited(error) {
+        this.updateStatus('Slow down');
+        alert(`Slow down! Too many requests. Please try again in ${error.retryAfter} seconds.`);
+        setTimeout(() => this.updateStatus('AR Active'), 2000);
+    }
+
+    /**
+     * Show a non-blocking notification
+     * @param {string} message
+     * @param {Object} options
+     * @param {string} options.actionLabel - Optional button label
+     * @param {Function} options.onAction - Called when the button is tapped
+     */
+    showToast(message, { actionLabel = null, onAction = null } = {}) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.appendChild(text);
+
+        const dismiss = () => toast.remove();
+
+        if (actionLabel && onAction) {
+            const action = document.createElement('button');
+            action.className = 'btn-secondary';
+            action.textContent = actionLabel;
+            action.addEventListener('click', () => {
+                dismiss();
+                onAction();
+            });
+            toast.appendChild(action);
+        }
+
+        this.ui.toastContainer.appendChild(toast);
+        setTimeout(dismiss, CONFIG.toast.durationMs);
+    }
+
     /**
      * Show loading spinner
+     * @param {string} text - Loading message
+     * @param {Function} onCancel - Optional handler; shows a Cancel button when provided
      */
-    showLoading(text = 'Processing...') {
+    showLoading(text = 'Processing...', onCancel = null) {
         this.ui.loadingSpinner.querySelector('.loading-text').textContent = text;
+        this.loadingCancelHandler = onCancel;
+        this.ui.loadingCancelBtn.classList.toggle('hidden', !onCancel);
         this.ui.loadingSpinner.classList.remove('hidden');
     }
 
@@ -529,9 +1577,21 @@ class ARPlantGame {
      * Hide loading spinner
      */
     hideLoading() {
+        this.loadingCancelHandler = null;
         this.ui.loadingSpinner.classList.add('hidden');
     }
 
+    /**
+     * Cancel the operation behind the loading spinner
+     */
+    cancelLoading() {
+        const onCancel = this.loadingCancelHandler;
+        this.hideLoading();
+        if (onCancel) {
+            onCancel();
+        }
+    }
+
     /**
      * Handle window resize
      */
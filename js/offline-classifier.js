@@ -0,0 +1,133 @@
+// Offline Classifier Module
+// On-device species classifier used as a last resort when both identification
+// APIs fail. The TF.js model (a common-houseplant image classifier) is not bundled;
+// when enabled, it is loaded on the first fallback and kept for later ones.
+//
+// Expected files at CONFIG.offlineClassifier.modelUrl / labelsUrl:
+//   model.json (+ weight shards) - TF.js graph model, image in, class probabilities out
+//   labels.json - [{ "scientificName": "...", "commonNames": ["..."], "family": "..." }, ...]
+//                 in the model's output order
+
+import { CONFIG } from '../config.js';
+
+class OfflineClassifier {
+    constructor() {
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the model and labels (once)
+     * @returns {Promise<{model: Object, labels: Array<Object>}>}
+     */
+    load() {
+        if (this.loadPromise) return this.loadPromise;
+
+        const { modelUrl, labelsUrl } = CONFIG.offlineClassifier;
+
+        console.log('Loading offline plant classifier...');
+        this.loadPromise = Promise.all([
+            tf.loadGraphModel(modelUrl),
+            fetch(labelsUrl).then(response => {
+                if (!response.ok) throw new Error(`Failed to load classifier labels: ${response.status}`);
+                return response.json();
+            })
+        ])
+            .then(([model, labels]) => {
+                console.log(`Offline plant classifier loaded (${labels.length} species)`);
+                return { model, labels };
+            })
+            .catch(error => {
+                this.loadPromise = null; // Allow a retry, e.g. once back online
+                throw error;
+            });
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Classify a photo on-device
+     * @param {string} imageData - Base64 JPEG
+     * @returns {Promise<Object>} Identification in the normalized schema (see plant-schema.js),
+     *   with provider 'On-device' and offline: true
+     */
+    async classify(imageData) {
+        const { model, labels } = await this.load();
+        const img = await this.loadImage(imageData);
+        const { inputSize, topK } = CONFIG.offlineClassifier;
+
+        // Resize and scale pixels to [-1, 1] (MobileNet-style preprocessing)
+        const probabilities = tf.tidy(() => {
+            const input = tf.browser.fromPixels(img)
+                .resizeBilinear([inputSize, inputSize])
+                .toFloat()
+                .div(127.5)
+                .sub(1)
+                .expandDims(0);
+            return model.predict(input).squeeze();
+        });
+
+        const scores = await probabilities.data();
+        probabilities.dispose();
+
+        const candidates = Array.from(scores)
+            .map((score, index) => ({ score, label: labels[index] }))
+            .filter(entry => entry.label)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK)
+            .map(({ score, label }) => this.createCandidate(label, score));
+
+        return {
+            provider: 'On-device',
+            isPlant: null,
+            offline: true,
+            candidates
+        };
+    }
+
+    /**
+     * Build a candidate with every schema field present
+     * @param {Object} label - Entry from labels.json
+     * @param {number} score - Model probability
+     * @returns {Object}
+     */
+    createCandidate(label, score) {
+        const commonNames = label.commonNames || [];
+
+        return {
+            name: commonNames[0] || label.scientificName,
+            commonNames,
+            scientificName: label.scientificName,
+            family: label.family || null,
+            taxonomy: {
+                kingdom: 'Plantae',
+                phylum: null,
+                class: null,
+                order: null,
+                family: label.family || null,
+                genus: label.scientificName.split(' ')[0]
+            },
+            score,
+            description: null,
+            url: null,
+            edibleParts: [],
+            similarImages: []
+        };
+    }
+
+    /**
+     * Load a base64 JPEG into an image element
+     * @param {string} base64Data
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(base64Data) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = `data:image/jpeg;base64,${base64Data}`;
+        });
+    }
+}
+
+// Export singleton instance
+export const offlineClassifier = new OfflineClassifier();
@@ -0,0 +1,110 @@
+// One Euro Filter
+// Speed-adaptive low-pass filter (Casiez et al., CHI 2012): heavy smoothing while a
+// signal is nearly still, little lag while it moves fast. Used to steady hand landmarks.
+
+/**
+ * Smoothing factor for an exponential filter at a given cutoff
+ * @param {number} cutoff - Cutoff frequency (Hz)
+ * @param {number} dt - Time since the previous sample (s)
+ * @returns {number}
+ */
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+export class OneEuroFilter {
+    /**
+     * @param {Object} options
+     * @param {number} options.minCutoff - Cutoff at rest (Hz); lower means smoother but laggier
+     * @param {number} options.beta - How quickly the cutoff rises with speed
+     * @param {number} options.dCutoff - Cutoff for the speed estimate (Hz)
+     */
+    constructor({ minCutoff, beta, dCutoff }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    /**
+     * Forget the signal history
+     */
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * Filter one sample
+     * @param {number} value - Raw sample
+     * @param {number} timestamp - Sample time (ms)
+     * @returns {number} Filtered value
+     */
+    filter(value, timestamp) {
+        if (this.lastTime === null) {
+            this.value = value;
+            this.lastTime = timestamp;
+            return value;
+        }
+
+        // Duplicate or out-of-order frame
+        if (timestamp <= this.lastTime) {
+            return this.value;
+        }
+
+        const dt = (timestamp - this.lastTime) / 1000;
+        this.lastTime = timestamp;
+
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += smoothingFactor(this.dCutoff, dt) * (rawDerivative - this.derivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(cutoff, dt) * (value - this.value);
+
+        return this.value;
+    }
+}
+
+export class LandmarkFilter {
+    /**
+     * @param {Object} options - OneEuroFilter options, shared by every coordinate
+     */
+    constructor(options) {
+        this.options = options;
+        this.filters = [];
+    }
+
+    /**
+     * Forget the landmark history (e.g. when the hand is lost)
+     */
+    reset() {
+        this.filters = [];
+    }
+
+    /**
+     * Filter one frame of landmarks
+     * @param {Array<{x: number, y: number, z: number}>} landmarks
+     * @param {number} timestamp - Frame time (ms)
+     * @returns {Array<{x: number, y: number, z: number}>} Smoothed copies
+     */
+    filter(landmarks, timestamp) {
+        return landmarks.map((point, index) => {
+            if (!this.filters[index]) {
+                this.filters[index] = {
+                    x: new OneEuroFilter(this.options),
+                    y: new OneEuroFilter(this.options),
+                    z: new OneEuroFilter(this.options)
+                };
+            }
+
+            const filters = this.filters[index];
+            return {
+                x: filters.x.filter(point.x, timestamp),
+                y: filters.y.filter(point.y, timestamp),
+                z: filters.z.filter(point.z, timestamp)
+            };
+        });
+    }
+}
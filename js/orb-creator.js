@@ -3,8 +3,20 @@
 
 import * as THREE from 'three';
 import { apiService } from './api-service.js';
+import { RateLimitError } from './http-client.js';
 import { CONFIG } from '../config.js';
 
+// Fallback mock data so an orb always appears when the APIs fail
+const FALLBACK_WEATHER = {
+    temperature: 20,
+    condition: 'clear',
+    description: 'Clear Sky'
+};
+
+const FALLBACK_AIR_QUALITY = {
+    aqiUS: 50  // Good air quality
+};
+
 class OrbCreator {
     constructor() {
         this.orbs = [];
@@ -14,6 +26,7 @@ class OrbCreator {
         this.wristPosition = null;
         this.wristOrientation = null;
         this.isWristTracking = false;
+        this.braceletScale = 1; // Orbit radius multiplier, set by the two-hand spread gesture
         this.tagsContainer = document.getElementById('tags-container');
     }
 
@@ -183,18 +196,18 @@ class OrbCreator {
     }
 
     /**
-     * Create an orb at a position with environmental data
+     * Create an orb at a position with current environmental data
+     * Falls back to placeholder data if the data can't be fetched, unless the request was rate limited
      * @param {THREE.Vector3} position - Position in AR space
-     * @param {Object} weatherData - Weather data
-     * @param {Object} airQualityData - Air quality data
-     * @returns {THREE.Mesh} Orb mesh
+     * @returns {Promise<THREE.Mesh>} Orb mesh
+     * @throws {RateLimitError}
      */
     async createOrb(position) {
         let weatherData, airQualityData;
 
         try {
-            // Get current location
-            const location = await apiService.getCurrentLocation();
+            // Get location (last known fix if available, so cached data can be used instantly)
+            const location = await apiService.getLastKnownLocation();
 
             // Fetch environmental data
             [weatherData, airQualityData] = await Promise.all([
@@ -202,20 +215,81 @@ class OrbCreator {
                 apiService.getAirQuality(location.lat, location.lon)
             ]);
         } catch (error) {
+            // Rate limits are the user's to see (and wait out), not a reason to show made-up data
+            if (error instanceof RateLimitError) throw error;
+
             console.warn('Failed to fetch environmental data, using fallback:', error);
 
             // Use fallback mock data so orb always appears
-            weatherData = {
-                temperature: 20,
-                condition: 'clear',
-                description: 'Clear Sky'
-            };
-
-            airQualityData = {
-                aqiUS: 50  // Good air quality
-            };
+            weatherData = FALLBACK_WEATHER;
+            airQualityData = FALLBACK_AIR_QUALITY;
+        }
+
+        return this.addOrb(position, weatherData, airQualityData);
+    }
+
+    /**
+     * Create a time-ordered strand of forecast orbs, earliest first
+     * @param {THREE.Vector3} position - Center of the strand in AR space
+     * @param {THREE.Vector3} direction - Unit vector the strand runs along (e.g. camera right)
+     * @param {number} hours - How far ahead to show
+     * @returns {Promise<Array<THREE.Mesh>>} Orb meshes in time order
+     */
+    async createForecastStrand(position, direction, hours = CONFIG.forecast.hours) {
+        const location = await apiService.getLastKnownLocation();
+
+        const [forecast, airQualityData] = await Promise.all([
+            apiService.getForecast(location.lat, location.lon, hours),
+            apiService.getAirQuality(location.lat, location.lon).catch(error => {
+                console.warn('Failed to fetch air quality for forecast, using fallback:', error);
+                return FALLBACK_AIR_QUALITY;
+            })
+        ]);
+
+        // Skip steps that have already ended (cached forecasts can be a few hours old)
+        const now = Date.now();
+        const stepMs = forecast.stepHours * 3600000;
+        const entries = forecast.entries
+            .filter(entry => entry.time + stepMs > now && entry.time <= now + hours * 3600000)
+            .slice(0, CONFIG.performance.maxOrbs);
+
+        if (entries.length === 0) {
+            throw new Error('No forecast data available');
         }
 
+        // Lay the strand out centered on the position
+        const spacing = CONFIG.forecast.strandSpacing;
+        const start = position.clone().addScaledVector(direction, -spacing * (entries.length - 1) / 2);
+        const strandId = now;
+
+        // Air quality forecasts aren't available, so every orb uses the current reading
+        return entries.map((entry, index) => {
+            const orbPosition = start.clone().addScaledVector(direction, spacing * index);
+            return this.addOrb(orbPosition, entry, airQualityData, {
+                strandId,
+                forecastTime: entry.time,
+                tagLabel: this.formatForecastLabel(entry)
+            });
+        });
+    }
+
+    /**
+     * Format a forecast step for its orb tag
+     */
+    formatForecastLabel(entry) {
+        const time = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `${time} ${Math.round(entry.temperature)}°C`;
+    }
+
+    /**
+     * Build an orb for environmental data and add it to the scene
+     * @param {THREE.Vector3} position - Position in AR space
+     * @param {Object} weatherData - Weather data
+     * @param {Object} airQualityData - Air quality data
+     * @param {Object} extraUserData - Additional metadata stored on the orb
+     * @returns {THREE.Mesh} Orb mesh
+     */
+    addOrb(position, weatherData, airQualityData, extraUserData = {}) {
         // Map data to visual properties
         const visualProps = this.mapDataToVisuals(weatherData, airQualityData);
 
@@ -249,7 +323,8 @@ class OrbCreator {
             airQualityData,
             visualProps,
             animationSpeed: visualProps.animationSpeed,
-            createdAt: Date.now()
+            createdAt: Date.now(),
+            ...extraUserData
         };
 
         // Add to scene
@@ -355,6 +430,15 @@ class OrbCreator {
         console.log(`Attached ${orbs.length} orbs to wrist`);
     }
 
+    /**
+     * Resize the wrist bracelet
+     * @param {number} scale - Orbit radius multiplier, clamped to CONFIG.gestures.braceletScale
+     */
+    setBraceletScale(scale) {
+        const { min, max } = CONFIG.gestures.braceletScale;
+        this.braceletScale = Math.min(max, Math.max(min, scale));
+    }
+
     /**
      * Update wrist position from hand tracking landmarks
      * @param {Object} wristLandmarks - Wrist landmark data from hand tracking
@@ -380,7 +464,7 @@ class OrbCreator {
         if (!this.wristPosition || this.wristOrbs.length === 0) return;
 
         // Orbit radius - visible distance from palm center
-        const orbitRadius = 0.15;
+        const orbitRadius = 0.15 * this.braceletScale;
         const numOrbs = this.wristOrbs.length;
         const time = Date.now() * 0.0005;
 
@@ -513,8 +597,9 @@ class OrbCreator {
                 tag.style.top = `${y}px`;
                 tag.style.display = 'block';
 
-                // Update text with coordinates
-                const newText = `X:${orb.position.x.toFixed(2)} Y:${orb.position.y.toFixed(2)} Z:${orb.position.z.toFixed(2)}`;
+                // Update text with coordinates (or the fixed label, e.g. forecast time)
+                const newText = orb.userData.tagLabel ||
+                    `X:${orb.position.x.toFixed(2)} Y:${orb.position.y.toFixed(2)} Z:${orb.position.z.toFixed(2)}`;
 
                 if (tag.textContent !== newText) {
                     tag.textContent = newText;
@@ -573,6 +658,47 @@ class OrbCreator {
         if (orb.material) orb.material.dispose();
     }
 
+    /**
+     * Merge all orbs into one at their center
+     * Weather readings are averaged; air quality keeps the worst reading, so a bad sample isn't hidden
+     * @returns {THREE.Mesh|null} Merged orb, or null with fewer than two orbs
+     */
+    mergeOrbs() {
+        if (this.orbs.length < 2) return null;
+
+        const orbs = [...this.orbs];
+        const latest = orbs[orbs.length - 1];
+
+        const center = new THREE.Vector3();
+        orbs.forEach(orb => center.add(orb.position));
+        center.divideScalar(orbs.length);
+
+        const average = (field) => {
+            const values = orbs
+                .map(orb => orb.userData.weatherData[field])
+                .filter(value => typeof value === 'number');
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : undefined;
+        };
+
+        const weatherData = {
+            ...latest.userData.weatherData,
+            temperature: average('temperature'),
+            humidity: average('humidity'),
+            pressure: average('pressure'),
+            windSpeed: average('windSpeed')
+        };
+
+        const airQualityData = orbs
+            .map(orb => orb.userData.airQualityData)
+            .reduce((worst, data) => ((data.aqiUS || 0) > (worst.aqiUS || 0) ? data : worst));
+
+        this.detachOrbsFromWrist();
+        orbs.forEach(orb => this.removeOrb(orb));
+
+        console.log(`Merged ${orbs.length} orbs`);
+        return this.addOrb(center, weatherData, airQualityData, { mergedFrom: orbs.length });
+    }
+
     /**
      * Get all orbs
      */
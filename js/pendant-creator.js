@@ -5,6 +5,7 @@ import * as THREE from 'three';
 import { CONFIG } from '../config.js';
 import { plantDetector } from './plant-detector.js';
 import { orbCreator } from './orb-creator.js';
+import { suitabilityEngine } from './suitability.js';
 
 class PendantCreator {
     constructor() {
@@ -23,12 +24,12 @@ class PendantCreator {
     }
 
     /**
-     * Create a pendant from the latest detected plant
+     * Create a pendant from a plant
      * @param {THREE.Vector3} position - Position in AR space
+     * @param {Object} plant - Plant to show (defaults to the latest detected plant)
      * @returns {THREE.Group} Pendant group
      */
-    async createPendant(position) {
-        const plant = plantDetector.getLatestPlant();
+    async createPendant(position, plant = plantDetector.getLatestPlant()) {
 
         if (!plant) {
             throw new Error('No plant detected. Please detect a plant first.');
@@ -42,8 +43,8 @@ class PendantCreator {
             const pendantMesh = await this.createPendantMesh(plant);
             pendantGroup.add(pendantMesh);
 
-            // Create frame around pendant
-            const frame = this.createPendantFrame();
+            // Create frame around pendant (warning colors for plants with health problems)
+            const frame = this.createPendantFrame(Boolean(plant.health && !plant.health.isHealthy));
             pendantGroup.add(frame);
 
             // Position pendant
@@ -74,6 +75,9 @@ class PendantCreator {
             // Create coordinate tag
             this.createTag(pendantGroup);
 
+            // Care card and suitability follow once the care profile has loaded
+            this.addCareDetails(pendantGroup, pendantMesh);
+
             return pendantGroup;
         } catch (error) {
             console.error('Failed to create pendant:', error);
@@ -116,7 +120,7 @@ class PendantCreator {
 
         // Apply segmentation mask if available
         if (plant.segmentation) {
-            const maskTexture = new THREE.CanvasTexture(plant.segmentation);
+            const maskTexture = new THREE.CanvasTexture(plant.segmentation.mask);
             material.alphaMap = maskTexture;
         }
 
@@ -124,10 +128,104 @@ class PendantCreator {
         return mesh;
     }
 
+    /**
+     * Create the care card shown on the back of the pendant
+     * @param {Object} plant
+     * @param {Object} care - Care profile
+     * @returns {THREE.Mesh}
+     */
+    createCareBack(plant, care) {
+        const width = CONFIG.ar.pendantScale;
+        const height = CONFIG.ar.pendantScale * 1.2;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 320;
+        canvas.height = 384;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = 'rgba(10, 14, 20, 0.92)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const name = plant.commonNames && plant.commonNames.length > 0 ? plant.commonNames[0] : plant.name;
+        ctx.fillStyle = '#00ff88';
+        ctx.font = '600 26px "Noto Sans", sans-serif';
+        ctx.fillText(name, 20, 44, canvas.width - 40);
+
+        let y = 92;
+        plantDetector.formatCareRows(care).forEach(row => {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.font = '16px "Noto Sans", sans-serif';
+            ctx.fillText(row.label.toUpperCase(), 20, y, canvas.width - 40);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '20px "Noto Sans", sans-serif';
+            ctx.fillText(row.value, 20, y + 26, canvas.width - 40);
+            y += 58;
+        });
+
+        const material = new THREE.MeshBasicMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            side: THREE.FrontSide
+        });
+
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width - 0.01, height - 0.01), material);
+        mesh.rotation.y = Math.PI; // Faces away from the photo
+        mesh.position.z = -0.002; // Behind the frame
+
+        return mesh;
+    }
+
+    /**
+     * Add the care card on the back of the pendant (when the species has a care profile) and the
+     * suitability indicator, without holding up the pendant itself on the care lookup
+     * @param {THREE.Group} pendant
+     * @param {THREE.Mesh} pendantMesh - Photo side of the pendant
+     */
+    async addCareDetails(pendant, pendantMesh) {
+        const care = await plantDetector.getCare(pendant.userData.plant);
+
+        // The pendant may have been removed meanwhile
+        if (!this.pendants.includes(pendant)) return;
+
+        if (care) {
+            // The photo has already rendered double-sided: recompile so the care card shows from behind
+            pendantMesh.material.side = THREE.FrontSide;
+            pendantMesh.material.needsUpdate = true;
+            pendant.add(this.createCareBack(pendant.userData.plant, care));
+        }
+
+        // Suitability indicator, added once the conditions outside have been checked
+        await this.addSuitabilityIndicator(pendant, care);
+    }
+
+    /**
+     * Check the plant against outdoor conditions and show the verdict as a gem above the pendant
+     * @param {THREE.Group} pendant
+     * @param {Object|null} care - Care profile
+     */
+    async addSuitabilityIndicator(pendant, care) {
+        const suitability = await suitabilityEngine.assess(pendant.userData.plant, care);
+
+        // Nothing to compare, or the pendant was removed meanwhile
+        if (!suitability || !this.pendants.includes(pendant)) return;
+
+        const indicator = new THREE.Mesh(
+            new THREE.SphereGeometry(0.006, 16, 16),
+            new THREE.MeshBasicMaterial({ color: CONFIG.suitability.colors[suitability.level] })
+        );
+        indicator.position.y = CONFIG.ar.pendantScale * 0.6 + 0.012; // Just above the frame
+        indicator.userData.isSuitabilityIndicator = true;
+
+        pendant.userData.suitability = suitability;
+        pendant.add(indicator);
+    }
+
     /**
      * Create pendant frame
+     * @param {boolean} unhealthy - Use the warning state for plants with health problems
      */
-    createPendantFrame() {
+    createPendantFrame(unhealthy = false) {
         const width = CONFIG.ar.pendantScale;
         const height = CONFIG.ar.pendantScale * 1.2;
 
@@ -181,6 +279,7 @@ class PendantCreator {
             varying vec3 vPosition;
             varying vec2 vUv;
             uniform float time;
+            uniform float unhealthy;
             
             void main() {
                 // Y3K Color Palette
@@ -197,12 +296,16 @@ class PendantCreator {
                 vec3 color2 = mix(electricBlue, silver, mixFactor2);
                 vec3 finalColor = mix(color1, color2, 0.5);
                 
+                // Unhealthy plants: amber-to-red warning palette
+                vec3 warning = mix(vec3(1.0, 0.55, 0.0), vec3(1.0, 0.1, 0.1), mixFactor1);
+                finalColor = mix(finalColor, warning, unhealthy);
+                
                 // Add metallic shine
                 float shine = pow(mixFactor1 * mixFactor2, 2.0);
                 finalColor += shine * 0.3;
                 
-                // Pulsing effect
-                float pulse = sin(time * 2.0) * 0.1 + 0.9;
+                // Pulsing effect (faster and deeper when unhealthy)
+                float pulse = sin(time * mix(2.0, 5.0, unhealthy)) * mix(0.1, 0.25, unhealthy) + mix(0.9, 0.75, unhealthy);
                 
                 gl_FragColor = vec4(finalColor * pulse, 1.0);
             }
@@ -212,7 +315,8 @@ class PendantCreator {
             vertexShader: vertexShader,
             fragmentShader: fragmentShader,
             uniforms: {
-                time: { value: 0 }
+                time: { value: 0 },
+                unhealthy: { value: unhealthy ? 1.0 : 0.0 }
             },
             side: THREE.DoubleSide
         });
@@ -355,7 +459,7 @@ class PendantCreator {
         if (!orbCreator.wristPosition) return;
 
         // Use same orbit radius as orbs for consistent circular path
-        const orbitRadius = 0.15;
+        const orbitRadius = 0.15 * orbCreator.braceletScale;
 
         // Get total number of objects (orbs + pendants) for even distribution
         const totalObjects = orbCreator.wristOrbs.length +
@@ -468,6 +572,25 @@ class PendantCreator {
         this.removeTag(pendant);
     }
 
+    /**
+     * Remove connections touching any of the given objects (e.g. orbs about to be merged)
+     * @param {Array<THREE.Object3D>} objects
+     */
+    removeConnectionsTo(objects) {
+        this.connections = this.connections.filter(connection => {
+            const { obj1, obj2 } = connection.userData;
+            if (objects.includes(obj1) || objects.includes(obj2)) {
+                if (this.scene && connection.parent === this.scene) {
+                    this.scene.remove(connection);
+                }
+                connection.geometry.dispose();
+                connection.material.dispose();
+                return false;
+            }
+            return true;
+        });
+    }
+
     /**
      * Get all pendants
      */
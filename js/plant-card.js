@@ -0,0 +1,293 @@
+// Plant Card Module
+// Builds the sections of the plant info panel: identification card, health assessment,
+// suitability line and care card
+
+import { CONFIG } from '../config.js';
+import { plantDetector } from './plant-detector.js';
+import { suitabilityEngine } from './suitability.js';
+
+// Taxonomic ranks shown on the plant card, broadest first
+const TAXONOMY_RANKS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+
+/**
+ * Only allow http(s) links from provider data
+ * @param {string|null} url
+ * @returns {string|null} The URL, or null if it is missing or uses another scheme
+ */
+export function toSafeUrl(url) {
+    if (!url) return null;
+
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+class PlantCard {
+    /**
+     * Build the plant card: names, confidence, taxonomy, edible parts, reference images and source link
+     * Provider text is only ever set as textContent
+     * @param {Object} plant - Detected plant
+     * @returns {HTMLElement}
+     */
+    create(plant) {
+        const card = document.createElement('div');
+        card.className = 'plant-card';
+
+        const name = document.createElement('h4');
+        name.className = 'plant-name';
+        name.textContent = plant.commonNames && plant.commonNames.length > 0 ? plant.commonNames[0] : plant.name;
+        card.appendChild(name);
+
+        if (plant.scientificName) {
+            const scientific = document.createElement('p');
+            scientific.className = 'plant-scientific';
+            const em = document.createElement('em');
+            em.textContent = plant.scientificName;
+            scientific.appendChild(em);
+            card.appendChild(scientific);
+        }
+
+        const otherNames = (plant.commonNames || []).slice(1, 4);
+        if (otherNames.length > 0) {
+            const aliases = document.createElement('p');
+            aliases.className = 'plant-aliases';
+            aliases.textContent = `Also known as ${otherNames.join(', ')}`;
+            card.appendChild(aliases);
+        }
+
+        // Confidence bar
+        const confidence = Math.round(plant.probability * 100);
+        const confidenceRow = document.createElement('div');
+        confidenceRow.className = 'plant-confidence';
+        const confidenceLabel = document.createElement('span');
+        confidenceLabel.className = 'confidence-label';
+        confidenceLabel.textContent = 'Confidence:';
+        const confidenceBar = document.createElement('div');
+        confidenceBar.className = 'confidence-bar';
+        const confidenceFill = document.createElement('div');
+        confidenceFill.className = 'confidence-fill';
+        confidenceFill.style.width = `${confidence}%`;
+        confidenceBar.appendChild(confidenceFill);
+        const confidenceValue = document.createElement('span');
+        confidenceValue.className = 'confidence-value';
+        confidenceValue.textContent = `${confidence}%`;
+        confidenceRow.append(confidenceLabel, confidenceBar, confidenceValue);
+        card.appendChild(confidenceRow);
+
+        if (plant.description) {
+            const description = document.createElement('p');
+            description.className = 'plant-description';
+            description.textContent = plant.description.length > 200
+                ? `${plant.description.substring(0, 200).trim()}…`
+                : plant.description;
+            card.appendChild(description);
+        }
+
+        const details = document.createElement('dl');
+        details.className = 'plant-details';
+
+        const addDetail = (label, value) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const definition = document.createElement('dd');
+            definition.textContent = value;
+            details.append(term, definition);
+        };
+
+        const taxonomy = plant.taxonomy || {};
+        const lineage = TAXONOMY_RANKS.map(rank => taxonomy[rank]).filter(Boolean);
+        if (lineage.length > 0) {
+            addDetail('Taxonomy', lineage.join(' › '));
+        } else if (plant.family) {
+            addDetail('Family', plant.family);
+        }
+
+        if (plant.edibleParts && plant.edibleParts.length > 0) {
+            addDetail('Edible parts', plant.edibleParts.join(', '));
+        }
+
+        if (details.children.length > 0) {
+            card.appendChild(details);
+        }
+
+        // Reference photos of the species, linked to their originals
+        const similarImages = (plant.similarImages || [])
+            .filter(image => toSafeUrl(image.thumbnailUrl || image.url))
+            .slice(0, 4);
+        if (similarImages.length > 0) {
+            const gallery = document.createElement('div');
+            gallery.className = 'plant-similar-images';
+
+            similarImages.forEach(image => {
+                const img = document.createElement('img');
+                img.src = toSafeUrl(image.thumbnailUrl || image.url);
+                img.alt = `Reference photo of ${plant.scientificName || plant.name}`;
+                img.loading = 'lazy';
+                const similarity = typeof image.similarity === 'number'
+                    ? `${Math.round(image.similarity * 100)}% similar`
+                    : '';
+                img.title = [similarity, image.citation].filter(Boolean).join(' · ');
+
+                const link = toSafeUrl(image.url);
+                if (link) {
+                    const anchor = document.createElement('a');
+                    anchor.href = link;
+                    anchor.target = '_blank';
+                    anchor.rel = 'noopener noreferrer';
+                    anchor.appendChild(img);
+                    gallery.appendChild(anchor);
+                } else {
+                    gallery.appendChild(img);
+                }
+            });
+
+            card.appendChild(gallery);
+        }
+
+        const footer = document.createElement('p');
+        footer.className = 'plant-source';
+        footer.textContent = `Identified by ${plant.source}`;
+        const sourceUrl = toSafeUrl(plant.url);
+        if (sourceUrl) {
+            const link = document.createElement('a');
+            link.href = sourceUrl;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = 'Learn more';
+            footer.append(' · ', link);
+        }
+        card.appendChild(footer);
+
+        return card;
+    }
+
+    /**
+     * Build the health assessment summary with likely problems and treatment notes
+     * @param {Object} health - Health assessment
+     * @returns {HTMLElement}
+     */
+    createHealthSection(health) {
+        const section = document.createElement('div');
+        section.className = 'health-section';
+        section.classList.toggle('unhealthy', !health.isHealthy);
+
+        const heading = document.createElement('h5');
+        heading.className = 'health-heading';
+        const probability = health.healthyProbability !== null
+            ? ` (${Math.round(health.healthyProbability * 100)}% healthy)`
+            : '';
+        heading.textContent = `${health.isHealthy ? 'Looks healthy' : 'Possible problems'}${probability}`;
+        section.appendChild(heading);
+
+        const issues = health.issues.filter(issue => issue.probability >= CONFIG.health.minIssueProbability);
+        if (issues.length === 0) return section;
+
+        const list = document.createElement('ul');
+        list.className = 'health-issues';
+
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+
+            const name = document.createElement('span');
+            name.className = 'health-issue-name';
+            name.textContent = `${issue.name} · ${issue.type} · ${Math.round(issue.probability * 100)}%`;
+            item.appendChild(name);
+
+            if (issue.description) {
+                const description = document.createElement('p');
+                description.textContent = issue.description;
+                item.appendChild(description);
+            }
+
+            // Prevention first, then the gentler treatments
+            const treatments = [
+                ...issue.treatment.prevention,
+                ...issue.treatment.biological,
+                ...issue.treatment.chemical
+            ].slice(0, 3);
+            if (treatments.length > 0) {
+                const treatmentList = document.createElement('ul');
+                treatmentList.className = 'health-treatment';
+                treatments.forEach(text => {
+                    const step = document.createElement('li');
+                    step.textContent = text;
+                    treatmentList.appendChild(step);
+                });
+                item.appendChild(treatmentList);
+            }
+
+            list.appendChild(item);
+        });
+
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * Fill the suitability line once care data and outdoor conditions are known
+     * @param {Object} plant
+     * @param {HTMLElement} line - Line element in the plant info panel
+     */
+    async renderSuitability(plant, line) {
+        const care = await plantDetector.getCare(plant);
+        const suitability = await suitabilityEngine.assess(plant, care);
+
+        // Nothing to show, or the panel has been re-rendered meanwhile
+        if (!suitability || !line.isConnected) {
+            line.remove();
+            return;
+        }
+
+        line.classList.add(suitability.level);
+        line.textContent = suitability.summary;
+        if (suitability.issues.length > 1) {
+            line.title = suitability.issues.map(issue => issue.message).join('\n');
+        }
+    }
+
+    /**
+     * Fill a care card once the plant's care profile has loaded
+     * @param {Object} plant
+     * @param {HTMLElement} container - Card element in the plant info panel
+     */
+    async renderCareCard(plant, container) {
+        const care = await plantDetector.getCare(plant);
+
+        // Nothing to show, or the panel has been re-rendered meanwhile
+        if (!care || !container.isConnected) {
+            container.remove();
+            return;
+        }
+
+        const heading = document.createElement('h5');
+        heading.className = 'care-heading';
+        heading.textContent = care.matchedOn === 'genus'
+            ? `Care (general ${plant.taxonomy && plant.taxonomy.genus ? plant.taxonomy.genus : 'genus'} guidance)`
+            : 'Care';
+
+        const list = document.createElement('dl');
+        list.className = 'care-list';
+        plantDetector.formatCareRows(care).forEach(row => {
+            const label = document.createElement('dt');
+            label.textContent = row.label;
+            const value = document.createElement('dd');
+            value.textContent = row.value;
+            list.append(label, value);
+        });
+
+        container.append(heading, list);
+
+        if (care.toxicity.notes) {
+            const notes = document.createElement('p');
+            notes.className = 'care-notes';
+            notes.textContent = care.toxicity.notes;
+            container.appendChild(notes);
+        }
+    }
+}
+
+// Export singleton instance
+export const plantCard = new PlantCard();
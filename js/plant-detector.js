@@ -1,35 +1,52 @@
 // Plant Detector Module
 // Handles plant identification and segmentation
 
+import { CONFIG } from '../config.js';
 import { apiService } from './api-service.js';
+import { RateLimitError, RequestCancelledError } from './http-client.js';
+import { plantSegmenter } from './plant-segmenter.js';
+import { frameQuality, FrameQualityError } from './frame-quality.js';
+import { herbarium } from './herbarium.js';
+import { offlineClassifier } from './offline-classifier.js';
+
+// Display text for care profile levels (see netlify/functions/plant-care.js)
+const CARE_LABELS = {
+    light: {
+        'full-sun': 'Full sun',
+        'partial-sun': 'Partial sun',
+        'bright-indirect': 'Bright, indirect light',
+        'low': 'Tolerates low light'
+    },
+    watering: {
+        frequent: 'Keep the soil moist',
+        moderate: 'When the top few cm are dry',
+        sparse: 'Let the soil dry out'
+    },
+    humidity: {
+        high: 'High',
+        medium: 'Average',
+        low: 'Dry air is fine'
+    }
+};
 
 class PlantDetector {
     constructor() {
         this.isProcessing = false;
         this.detectedPlants = [];
-        this.segmentationModel = null;
         this.currentPlantSegmentation = null;
         this.demoMode = false; // Demo mode flag
+        this.healthMode = false; // Also assess plant health with each identification
+        this.abortController = null; // Cancels the in-flight identification
+        this.captures = []; // Organ-tagged photos for multi-photo identification
+        this.nextCaptureId = 1; // Two captures can land in the same millisecond, so ids are counted
     }
 
     /**
      * Initialize plant detector
      */
     async initialize() {
-        try {
-            // Load DeepLab model for plant segmentation
-            console.log('Loading plant segmentation model...');
-            this.segmentationModel = await deeplab.load({
-                base: 'pascal',
-                quantizationBytes: 2
-            });
-            console.log('Plant segmentation model loaded');
-            return true;
-        } catch (error) {
-            console.error('Failed to load segmentation model:', error);
-            // Continue without segmentation
-            return false;
-        }
+        // Segmentation still works from color alone if the model fails to load
+        return plantSegmenter.initialize();
     }
 
     /**
@@ -48,6 +65,49 @@ class PlantDetector {
         console.log('Demo mode disabled - plant detection will use real API');
     }
 
+    /**
+     * Enable health mode (each identification also runs a health assessment)
+     */
+    enableHealthMode() {
+        this.healthMode = true;
+        console.log('Health mode enabled - identifications will include a health assessment');
+    }
+
+    /**
+     * Disable health mode
+     */
+    disableHealthMode() {
+        this.healthMode = false;
+        console.log('Health mode disabled');
+    }
+
+    /**
+     * Get demo health assessment (mock)
+     */
+    getDemoHealthData() {
+        const healthy = Math.random() < 0.5;
+
+        return {
+            provider: 'Demo',
+            isHealthy: healthy,
+            healthyProbability: healthy ? 0.91 : 0.15,
+            issues: healthy ? [] : [{
+                name: 'Leaf spot',
+                type: 'disease',
+                probability: 0.72,
+                cause: null,
+                description: 'Fungal infection causing brown spots with yellow halos on the leaves.',
+                treatment: {
+                    prevention: ['Water the soil, not the leaves.', 'Remove infected leaves.'],
+                    biological: [],
+                    chemical: ['Apply a copper-based fungicide.']
+                },
+                url: null,
+                similarImages: []
+            }]
+        };
+    }
+
     /**
      * Get demo plant data (mock)
      */
@@ -91,24 +151,95 @@ class PlantDetector {
         return demoPlants[Math.floor(Math.random() * demoPlants.length)];
     }
 
+    /**
+     * Capture a frame tagged with the plant organ it shows
+     * @param {HTMLVideoElement} videoElement
+     * @param {string} organ - One of the CONFIG.capture.organs ids
+     * @returns {Promise<Object|null>} Capture ({ id, imageData, segmentation, organ }), or null if the limit is reached
+     * @throws {FrameQualityError} When the frame should be retaken
+     */
+    async addCapture(videoElement, organ) {
+        if (this.captures.length >= CONFIG.capture.maxImages) {
+            return null;
+        }
+
+        const { cropToPlant } = CONFIG.capture.organs.find(({ id }) => id === organ) || { cropToPlant: true };
+        const frame = await this.captureFrame(videoElement, { checkQuality: !this.demoMode, cropToPlant });
+
+        // Another capture may have filled the last slot meanwhile
+        if (this.captures.length >= CONFIG.capture.maxImages) {
+            return null;
+        }
+
+        const capture = {
+            id: this.nextCaptureId++,
+            imageData: frame.imageData,
+            segmentation: frame.segmentation,
+            organ
+        };
+
+        this.captures.push(capture);
+        return capture;
+    }
+
+    /**
+     * Remove a capture
+     * @param {number} id - Capture id
+     */
+    removeCapture(id) {
+        this.captures = this.captures.filter(capture => capture.id !== id);
+    }
+
+    /**
+     * Get all captures for the next multi-photo identification
+     * @returns {Array}
+     */
+    getCaptures() {
+        return this.captures;
+    }
+
+    /**
+     * Clear captures
+     */
+    clearCaptures() {
+        this.captures = [];
+    }
+
     /**
      * Capture and identify plant from video frame
      * @param {HTMLVideoElement} videoElement - Video element
+     * @param {Array<{imageData: string, organ: string}>} images - Organ-tagged photos to submit
+     *   together; when omitted, the current frame is captured with organ 'auto'
      * @returns {Promise<Object>} Plant identification result
+     * @throws {FrameQualityError} When the captured frame should be retaken
      */
-    async identifyPlant(videoElement) {
+    async identifyPlant(videoElement, images = null) {
         if (this.isProcessing) {
             console.log('Already processing a plant identification request');
             return null;
         }
 
         this.isProcessing = true;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
 
         try {
+            if (!Array.isArray(images) || images.length === 0) {
+                // Demo results don't depend on the photo, so don't reject it
+                const frame = await this.captureFrame(videoElement, { checkQuality: !this.demoMode });
+                images = [{ ...frame, organ: 'auto' }];
+            }
+
+            // The first photo becomes the pendant image, cut out with its own mask
+            const imageData = images[0].imageData;
+            this.currentPlantSegmentation = images[0].segmentation || null;
+
+            // Only the photos and organ tags are uploaded
+            const uploads = images.map(image => ({ imageData: image.imageData, organ: image.organ }));
+
             // Demo mode - return mock data
             if (this.demoMode) {
                 console.log('Using demo mode - returning mock plant data');
-                const imageData = this.captureFrame(videoElement);
                 const demoData = this.getDemoPlantData();
 
                 const plant = {
@@ -121,78 +252,62 @@ class PlantDetector {
                     imageData: imageData,
                     segmentation: null,
                     timestamp: Date.now(),
+                    confirmed: true,
                     source: demoData.source
                 };
 
-                this.detectedPlants.push(plant);
+                if (this.healthMode) {
+                    plant.health = this.getDemoHealthData();
+                }
+
+                this.addDetectedPlant(plant);
                 return plant;
             }
 
             // Real API mode
-            // Capture frame from video
-            const imageData = this.captureFrame(videoElement);
+            // In health mode, assess the same photos alongside identification
+            const healthRequest = this.healthMode ? this.requestHealth(uploads, signal) : null;
 
             // Send to Plant.id API via Netlify Function
+            // Both functions return the same normalized schema (see netlify/functions/utils/plant-schema.js)
             let result;
-            let isFallback = false;
 
             try {
-                result = await apiService.identifyPlant(imageData);
+                result = await apiService.identifyPlant(uploads, { signal });
             } catch (apiError) {
+                // Being rate limited means the user should slow down, not burn the fallback quota too
+                // (Plant.id itself running out of quota is what the fallback is for);
+                // a cancelled request should not be retried elsewhere
+                if ((apiError instanceof RateLimitError && !apiError.providerQuota) ||
+                    apiError instanceof RequestCancelledError) {
+                    throw apiError;
+                }
+
                 console.warn('Primary API failed, trying PlantNet fallback:', apiError);
                 try {
-                    result = await apiService.identifyPlantNet(imageData);
-                    isFallback = true;
+                    result = await apiService.identifyPlantNet(uploads, { signal });
                 } catch (fallbackError) {
+                    if (fallbackError instanceof RequestCancelledError) {
+                        throw fallbackError;
+                    }
+
                     console.error('Fallback API also failed:', fallbackError);
-                    throw apiError; // Throw original error if both fail
+                    result = await this.classifyOffline(imageData);
+                    if (!result) {
+                        throw apiError; // Throw original error if every tier fails
+                    }
                 }
             }
 
-            // Segment the plant if model is loaded
-            if (this.segmentationModel) {
-                await this.segmentPlant(videoElement);
-            }
-
             // Store detected plant
-            if (isFallback) {
-                // Handle PlantNet response structure
-                if (result && result.results && result.results.length > 0) {
-                    const bestMatch = result.results[0];
-                    const plant = {
-                        id: Date.now(),
-                        name: bestMatch.species.commonNames[0] || bestMatch.species.scientificNameWithoutAuthor,
-                        commonNames: bestMatch.species.commonNames || [],
-                        scientificName: bestMatch.species.scientificNameWithoutAuthor,
-                        probability: bestMatch.score,
-                        description: 'Identified via PlantNet',
-                        imageData: imageData,
-                        segmentation: this.currentPlantSegmentation,
-                        timestamp: Date.now(),
-                        source: 'PlantNet'
-                    };
-                    this.detectedPlants.push(plant);
-                    return plant;
-                }
-            } else {
-                // Handle Plant.id response structure
-                if (result && result.suggestions && result.suggestions.length > 0) {
-                    const plant = {
-                        id: Date.now(),
-                        name: result.suggestions[0].plant_name,
-                        commonNames: result.suggestions[0].plant_details?.common_names || [],
-                        scientificName: result.suggestions[0].plant_details?.scientific_name,
-                        probability: result.suggestions[0].probability,
-                        description: result.suggestions[0].plant_details?.wiki_description?.value,
-                        imageData: imageData,
-                        segmentation: this.currentPlantSegmentation,
-                        timestamp: Date.now(),
-                        source: 'Plant.id'
-                    };
-
-                    this.detectedPlants.push(plant);
-                    return plant;
+            if (result && result.candidates && result.candidates.length > 0) {
+                const plant = this.createPlant(result, imageData);
+                plant.organs = images.map(image => image.organ);
+                if (healthRequest) {
+                    plant.health = await healthRequest;
                 }
+                this.addDetectedPlant(plant);
+                return plant;
             }
 
             return null;
@@ -201,94 +316,217 @@ class PlantDetector {
             throw error;
         } finally {
             this.isProcessing = false;
+            this.abortController = null;
         }
     }
 
     /**
-     * Capture frame from video element
-     * @param {HTMLVideoElement} videoElement
-     * @returns {string} Base64 encoded image
+     * Last-resort identification with the on-device classifier
+     * @param {string} imageData - Base64 JPEG
+     * @returns {Promise<Object|null>} Normalized identification, or null if unavailable
      */
-    captureFrame(videoElement) {
-        const canvas = document.createElement('canvas');
-        canvas.width = videoElement.videoWidth;
-        canvas.height = videoElement.videoHeight;
+    async classifyOffline(imageData) {
+        if (!CONFIG.offlineClassifier.enabled) return null;
 
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(videoElement, 0, 0);
-
-        // Convert to base64
-        return canvas.toDataURL('image/jpeg', 0.8).split(',')[1];
+        try {
+            console.warn('Both APIs failed, trying on-device classifier');
+            return await offlineClassifier.classify(imageData);
+        } catch (error) {
+            console.warn('On-device classifier unavailable:', error);
+            return null;
+        }
     }
 
     /**
-     * Segment plant from video frame using DeepLab
-     * @param {HTMLVideoElement} videoElement
+     * Run a health assessment; failures only cost the health result, not the identification
+     * @param {Array<{imageData: string, organ: string}>} uploads
+     * @param {AbortSignal} signal
+     * @returns {Promise<Object|null>} Health assessment, or null if it failed
      */
-    async segmentPlant(videoElement) {
-        if (!this.segmentationModel) {
-            console.log('Segmentation model not loaded');
+    async requestHealth(uploads, signal) {
+        try {
+            return await apiService.assessPlantHealth(uploads, { signal });
+        } catch (error) {
+            console.warn('Plant health assessment failed:', error);
             return null;
         }
+    }
 
-        try {
-            const segmentation = await this.segmentationModel.segment(videoElement);
+    /**
+     * Cancel the in-flight identification, if any
+     * @returns {boolean} True if a request was cancelled
+     */
+    cancelIdentification() {
+        if (!this.abortController) return false;
+
+        this.abortController.abort();
+        return true;
+    }
 
-            // Extract plant pixels (assuming plant is the main object)
-            this.currentPlantSegmentation = this.extractPlantMask(segmentation);
+    /**
+     * Build a plant record from a normalized identification result
+     * @param {Object} result - Normalized identification ({ provider, candidates })
+     * @param {string} imageData - Base64 encoded image that was identified
+     * @returns {Object} Plant record
+     */
+    createPlant(result, imageData) {
+        const bestMatch = result.candidates[0];
+
+        return {
+            id: Date.now(),
+            ...this.getCandidateFields(bestMatch),
+            candidates: result.candidates,
+            selectedCandidate: 0,
+            // Low-confidence matches wait for the user to confirm or pick another candidate
+            // Offline guesses are never auto-confirmed, however confident the model is
+            confirmed: !result.offline && bestMatch.score >= CONFIG.identification.autoConfirmScore,
+            offline: Boolean(result.offline),
+            imageData: imageData,
+            segmentation: this.currentPlantSegmentation,
+            timestamp: Date.now(),
+            source: result.provider
+        };
+    }
 
-            return this.currentPlantSegmentation;
-        } catch (error) {
-            console.error('Plant segmentation error:', error);
-            return null;
+    /**
+     * Map a normalized candidate onto plant record fields
+     * @param {Object} candidate
+     * @returns {Object}
+     */
+    getCandidateFields(candidate) {
+        return {
+            name: candidate.name,
+            commonNames: candidate.commonNames,
+            scientificName: candidate.scientificName,
+            family: candidate.family,
+            taxonomy: candidate.taxonomy,
+            probability: candidate.score,
+            description: candidate.description,
+            url: candidate.url,
+            edibleParts: candidate.edibleParts,
+            similarImages: candidate.similarImages
+        };
+    }
+
+    /**
+     * Confirm one of a plant's candidates as the correct species
+     * @param {Object} plant - Detected plant
+     * @param {number} index - Index into plant.candidates
+     * @returns {Object} Updated plant
+     */
+    selectCandidate(plant, index) {
+        const candidate = plant.candidates && plant.candidates[index];
+        if (!candidate) {
+            throw new Error(`No candidate at index ${index}`);
+        }
+
+        Object.assign(plant, this.getCandidateFields(candidate), {
+            selectedCandidate: index,
+            confirmed: true,
+            care: undefined // Belongs to the previous species
+        });
+
+        herbarium.save(plant);
+        return plant;
+    }
+
+    /**
+     * Discard a detection when none of its candidates is right
+     * @param {Object} plant - Detected plant
+     */
+    rejectPlant(plant) {
+        this.detectedPlants = this.detectedPlants.filter(p => p !== plant);
+        herbarium.delete(plant.id);
+    }
+
+    /**
+     * Record a new detection; confirmed ones go straight into the herbarium
+     * (the rest are saved once the user confirms a candidate)
+     * @param {Object} plant
+     */
+    addDetectedPlant(plant) {
+        this.detectedPlants.push(plant);
+
+        // Demo plants are made up, so they stay out of the collection
+        if (plant.confirmed && !this.demoMode) {
+            herbarium.save(plant);
         }
     }
 
     /**
-     * Extract plant mask from segmentation result
-     * @param {Object} segmentation - DeepLab segmentation result
-     * @returns {ImageData} Plant mask
+     * Capture a frame ready for upload: find the plant, crop to it, check sharpness
+     * and exposure of the crop, then downsize
+     * @param {HTMLVideoElement} videoElement
+     * @param {Object} options
+     * @param {boolean} options.checkQuality - Reject frames without a plant or too blurry/dark/bright to identify
+     * @param {boolean} options.cropToPlant - Require green vegetation and crop to it; off for organs that
+     *   are often not green (flowers, fruit, bark), which are kept whole
+     * @returns {Promise<{imageData: string, segmentation: Object}>} Base64 JPEG and its plant mask
+     * @throws {FrameQualityError} When the frame should be retaken
      */
-    extractPlantMask(segmentation) {
-        const { width, height, segmentationMap } = segmentation;
+    async captureFrame(videoElement, { checkQuality = true, cropToPlant = true } = {}) {
+        const frame = document.createElement('canvas');
+        frame.width = videoElement.videoWidth;
+        frame.height = videoElement.videoHeight;
+        frame.getContext('2d').drawImage(videoElement, 0, 0);
+
+        let segmentation;
+        try {
+            segmentation = await plantSegmenter.segment(frame);
+        } catch (error) {
+            // A broken segmenter shouldn't block identification: upload the whole frame
+            console.error('Plant segmentation error:', error);
+        }
+
+        if (segmentation === null && checkQuality && cropToPlant) {
+            throw new FrameQualityError('no-plant');
+        }
+
+        const box = segmentation && cropToPlant
+            ? frameQuality.getCropBox(segmentation, frame.width, frame.height)
+            : { x: 0, y: 0, width: frame.width, height: frame.height };
+        const scale = Math.min(1, CONFIG.frameQuality.maxDimension / Math.max(box.width, box.height));
 
-        // Create canvas for mask
         const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-
-        // Create image data
-        const imageData = ctx.createImageData(width, height);
-        const data = imageData.data;
-
-        // Extract plant pixels (class 15 is typically "plant" in PASCAL VOC)
-        // We'll use any non-background class for now
-        for (let i = 0; i < segmentationMap.length; i++) {
-            const classId = segmentationMap[i];
-            const pixelIndex = i * 4;
-
-            if (classId > 0) { // Non-background
-                data[pixelIndex] = 0;       // R
-                data[pixelIndex + 1] = 255; // G (green for plants)
-                data[pixelIndex + 2] = 136; // B
-                data[pixelIndex + 3] = 180; // A (semi-transparent)
-            } else {
-                data[pixelIndex + 3] = 0; // Transparent background
+        canvas.width = Math.round(box.width * scale);
+        canvas.height = Math.round(box.height * scale);
+        canvas.getContext('2d').drawImage(
+            frame, box.x, box.y, box.width, box.height, 0, 0, canvas.width, canvas.height
+        );
+
+        if (checkQuality) {
+            const quality = frameQuality.assess(canvas);
+            if (quality.reason) {
+                console.log('Frame rejected:', quality);
+                throw new FrameQualityError(quality.reason);
             }
         }
 
-        ctx.putImageData(imageData, 0, 0);
-        return canvas;
+        return {
+            imageData: canvas.toDataURL('image/jpeg', CONFIG.frameQuality.jpegQuality).split(',')[1],
+            segmentation: segmentation
+                ? frameQuality.cropSegmentation(segmentation, box, frame.width, frame.height)
+                : null
+        };
     }
 
     /**
-     * Get most recent detected plant
-     * @returns {Object|null}
+     * Get most recent detected plant, once it is confirmed
+     * @returns {Object|null} Null if nothing is detected or the latest detection awaits confirmation
      */
     getLatestPlant() {
         if (this.detectedPlants.length === 0) return null;
-        return this.detectedPlants[this.detectedPlants.length - 1];
+        const latest = this.detectedPlants[this.detectedPlants.length - 1];
+        return latest.confirmed ? latest : null;
+    }
+
+    /**
+     * Get the latest detection if it still awaits confirmation
+     * @returns {Object|null}
+     */
+    getPendingPlant() {
+        const latest = this.detectedPlants[this.detectedPlants.length - 1];
+        return latest && !latest.confirmed ? latest : null;
     }
 
     /**
@@ -308,33 +546,50 @@ class PlantDetector {
     }
 
     /**
-     * Format plant info for display
+     * Load the care profile for a plant, once per species
      * @param {Object} plant
-     * @returns {string} HTML string
+     * @returns {Promise<Object|null>} Care profile, or null if unknown or unavailable
      */
-    formatPlantInfo(plant) {
-        const commonName = plant.commonNames && plant.commonNames.length > 0
-            ? plant.commonNames[0]
-            : plant.name;
-
-        const confidence = Math.round(plant.probability * 100);
-
-        let html = `
-      <div class="plant-card">
-        <h4 class="plant-name">${commonName}</h4>
-        ${plant.scientificName ? `<p class="plant-scientific"><em>${plant.scientificName}</em></p>` : ''}
-        <div class="plant-confidence">
-          <span class="confidence-label">Confidence:</span>
-          <div class="confidence-bar">
-            <div class="confidence-fill" style="width: ${confidence}%"></div>
-          </div>
-          <span class="confidence-value">${confidence}%</span>
-        </div>
-        ${plant.description ? `<p class="plant-description">${plant.description.substring(0, 200)}...</p>` : ''}
-      </div>
-    `;
-
-        return html;
+    async getCare(plant) {
+        if (plant.care !== undefined) return plant.care;
+        if (!plant.scientificName) return null;
+
+        const scientificName = plant.scientificName;
+        try {
+            const care = await apiService.getPlantCare(scientificName);
+
+            // The user may have picked another species meanwhile
+            if (plant.scientificName === scientificName) {
+                plant.care = care;
+            }
+            return care;
+        } catch (error) {
+            console.warn('Failed to load plant care:', error);
+            return null; // Not stored, so it is retried next time
+        }
+    }
+
+    /**
+     * Format a care profile as label/value rows
+     * @param {Object} care - Care profile from getCare()
+     * @returns {Array<{label: string, value: string}>}
+     */
+    formatCareRows(care) {
+        const { cats, dogs } = care.toxicity;
+        let pets = 'Non-toxic to cats and dogs';
+        if (cats && dogs) {
+            pets = 'Toxic to cats and dogs';
+        } else if (cats || dogs) {
+            pets = `Toxic to ${cats ? 'cats' : 'dogs'}`;
+        }
+
+        return [
+            { label: 'Light', value: CARE_LABELS.light[care.light] || care.light },
+            { label: 'Water', value: CARE_LABELS.watering[care.watering] || care.watering },
+            { label: 'Humidity', value: CARE_LABELS.humidity[care.humidity] || care.humidity },
+            { label: 'Temperature', value: `${care.temperature.min}–${care.temperature.max}°C` },
+            { label: 'Pets', value: pets }
+        ];
     }
 }
 
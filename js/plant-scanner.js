@@ -0,0 +1,257 @@
+// Plant Scanner Module
+// Background loop that identifies plants without a button press. Each sample is a
+// tiny downscaled frame checked on-device for vegetation and camera motion; the
+// identify API is only called once a plant has been held steady in view, the scene
+// differs from the last one identified, and the daily quota budget allows it. The
+// budget is kept in IndexedDB, so reloading the page doesn't reset it.
+
+import { CONFIG } from '../config.js';
+import { plantDetector } from './plant-detector.js';
+import { plantSegmenter } from './plant-segmenter.js';
+import { RateLimitError, RequestCancelledError } from './http-client.js';
+import { FrameQualityError } from './frame-quality.js';
+import { runRequest } from './idb-store.js';
+
+const STORE_NAME = 'scanner';
+const BUDGET_KEY = 'requestTimes';
+
+class PlantScanner {
+    constructor() {
+        this.videoElement = null;
+        this.timer = null;
+        this.isScanning = false;
+        this.isIdentifying = false;
+        this.canvas = null;
+        this.previousSample = null; // Luminance of the last sample, for motion
+        this.identifiedSample = null; // Luminance when the last plant was identified
+        this.stableCount = 0;
+        this.requestTimes = []; // Times of Plant.id requests made by the scanner, within the budget window
+        this.budgetPromise = null;
+        this.pausedUntil = 0; // Set after a 429
+        this.callbacks = {
+            plant: [],
+            error: []
+        };
+    }
+
+    /**
+     * Start scanning frames
+     * @param {HTMLVideoElement} videoElement - Camera feed
+     */
+    start(videoElement) {
+        if (this.isScanning) return;
+
+        this.videoElement = videoElement;
+        this.isScanning = true;
+        this.loadBudget();
+        this.resetStability();
+        this.timer = setInterval(() => this.tick(), CONFIG.scanner.intervalMs);
+        console.log('Plant scanner started');
+    }
+
+    /**
+     * Stop scanning (an identification already in flight is allowed to finish)
+     */
+    stop() {
+        if (!this.isScanning) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.isScanning = false;
+        console.log('Plant scanner stopped');
+    }
+
+    /**
+     * Register a callback
+     * @param {string} event - 'plant' (receives the plant) or 'error' (receives the error)
+     * @param {Function} callback
+     */
+    on(event, callback) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].push(callback);
+        }
+    }
+
+    /**
+     * Forget stability so the plant must be held steady again
+     */
+    resetStability() {
+        this.previousSample = null;
+        this.stableCount = 0;
+    }
+
+    /**
+     * Sample one frame and identify when the pre-filter passes
+     */
+    async tick() {
+        // Skip while this or a manual identification is running
+        if (this.isIdentifying || plantDetector.isProcessing) return;
+        if (!this.videoElement || this.videoElement.readyState < 2) return;
+
+        const sample = this.sampleFrame();
+        const motion = this.previousSample ? this.compareSamples(sample.luminance, this.previousSample) : 1;
+        this.previousSample = sample.luminance;
+
+        const { minVegetation, maxMotion, stableSamples, minSceneChange } = CONFIG.scanner;
+        const plantInView = sample.vegetation >= minVegetation;
+        this.stableCount = plantInView && motion <= maxMotion ? this.stableCount + 1 : 0;
+
+        if (this.stableCount < stableSamples) return;
+
+        // Don't identify the same view twice
+        if (this.identifiedSample &&
+            this.compareSamples(sample.luminance, this.identifiedSample) < minSceneChange) {
+            return;
+        }
+
+        await this.loadBudget();
+        if (!this.hasBudget(this.getRequestCost())) return;
+
+        await this.identify(sample.luminance);
+    }
+
+    /**
+     * Identify the current frame and notify listeners
+     * @param {Float32Array} luminance - Sample that triggered the identification
+     */
+    async identify(luminance) {
+        this.isIdentifying = true;
+        const spent = Array(this.getRequestCost()).fill(Date.now());
+        this.requestTimes.push(...spent);
+        this.saveBudget();
+        const previousSample = this.identifiedSample;
+        this.identifiedSample = luminance;
+        this.resetStability();
+
+        try {
+            const plant = await plantDetector.identifyPlant(this.videoElement);
+            if (plant) {
+                this.callbacks.plant.forEach(callback => callback(plant));
+            }
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+
+            // Rejected before upload: no quota was spent, so wait for a better frame quietly.
+            // Nothing was identified either, so the same view may be tried again.
+            if (error instanceof FrameQualityError) {
+                this.requestTimes.splice(this.requestTimes.length - spent.length);
+                this.saveBudget();
+                this.identifiedSample = previousSample;
+                return;
+            }
+
+            if (error instanceof RateLimitError) {
+                this.pausedUntil = Date.now() + error.retryAfter * 1000;
+            }
+
+            this.callbacks.error.forEach(callback => callback(error));
+        } finally {
+            this.isIdentifying = false;
+        }
+    }
+
+    /**
+     * Plant.id requests one identification makes: a health check is a second one
+     * @returns {number}
+     */
+    getRequestCost() {
+        return plantDetector.healthMode ? 2 : 1;
+    }
+
+    /**
+     * Whether the quota budget allows another identification
+     * @param {number} cost - Requests it would make (see getRequestCost)
+     * @returns {boolean}
+     */
+    hasBudget(cost) {
+        const now = Date.now();
+        if (now < this.pausedUntil) return false;
+
+        const { maxRequests, budgetWindowMs } = CONFIG.scanner;
+        this.requestTimes = this.requestTimes.filter(time => now - time < budgetWindowMs);
+        return this.requestTimes.length + cost <= maxRequests;
+    }
+
+    /**
+     * Read the budget spent in earlier visits (once)
+     * @returns {Promise<void>}
+     */
+    loadBudget() {
+        if (!this.budgetPromise) {
+            this.budgetPromise = runRequest(STORE_NAME, 'readonly', store => store.get(BUDGET_KEY))
+                .then(times => {
+                    this.requestTimes = [...(times || []), ...this.requestTimes];
+                })
+                .catch(error => console.warn('Failed to read the scan budget:', error));
+        }
+        return this.budgetPromise;
+    }
+
+    /**
+     * Store the spent budget
+     */
+    async saveBudget() {
+        try {
+            await runRequest(STORE_NAME, 'readwrite', store => store.put(this.requestTimes, BUDGET_KEY));
+        } catch (error) {
+            console.warn('Failed to save the scan budget:', error);
+        }
+    }
+
+    /**
+     * Downscale the current frame and measure it
+     * @returns {{luminance: Float32Array, vegetation: number}} Per-pixel luminance (0-1)
+     *   and the fraction of pixels that look like vegetation
+     */
+    sampleFrame() {
+        const video = this.videoElement;
+        const width = CONFIG.scanner.sampleWidth;
+        const height = Math.max(1, Math.round(width * video.videoHeight / video.videoWidth));
+
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+        }
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, width, height);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+
+        const luminance = new Float32Array(width * height);
+        let vegetationPixels = 0;
+
+        for (let i = 0; i < luminance.length; i++) {
+            const r = pixels[i * 4];
+            const g = pixels[i * 4 + 1];
+            const b = pixels[i * 4 + 2];
+
+            luminance[i] = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+            if (plantSegmenter.vegetationScore(r, g, b) >= CONFIG.segmentation.maskThreshold) {
+                vegetationPixels++;
+            }
+        }
+
+        return {
+            luminance,
+            vegetation: vegetationPixels / luminance.length
+        };
+    }
+
+    /**
+     * Mean absolute luminance difference between two samples
+     * @returns {number} 0 (identical) to 1
+     */
+    compareSamples(a, b) {
+        if (a.length !== b.length) return 1;
+
+        let total = 0;
+        for (let i = 0; i < a.length; i++) {
+            total += Math.abs(a[i] - b[i]);
+        }
+        return total / a.length;
+    }
+}
+
+// Export singleton instance
+export const plantScanner = new PlantScanner();
@@ -0,0 +1,197 @@
+// Plant Segmenter Module
+// Isolates vegetation in a frame by combining DeepLab (PASCAL VOC) labels with an
+// Excess Green (ExG) color index, producing a per-pixel confidence map and a mask
+// canvas for pendant cutouts.
+//
+// DeepLab's PASCAL model only knows "potted plant" and tends to miss leaves, trees and
+// close-ups, while the color index alone also picks up green shirts and walls. Combined:
+// - pixels DeepLab labels as another object (person, cat, chair...) are never plant
+// - potted-plant pixels are kept even when they aren't green (flowers, stems)
+// - unlabelled background is plant only where it is strongly green
+
+import { CONFIG } from '../config.js';
+
+class PlantSegmenter {
+    constructor() {
+        this.model = null;
+        this.canvas = null; // Scratch canvas for reading source pixels
+    }
+
+    /**
+     * Load the segmentation model
+     * Without the model, segmentation falls back to the color index alone
+     * @returns {Promise<boolean>} Whether the model loaded
+     */
+    async initialize() {
+        if (!CONFIG.segmentation.useModel) {
+            return false;
+        }
+
+        try {
+            console.log('Loading plant segmentation model...');
+            this.model = await deeplab.load({
+                base: 'pascal',
+                quantizationBytes: 2
+            });
+            console.log('Plant segmentation model loaded');
+            return true;
+        } catch (error) {
+            console.error('Failed to load segmentation model, using color index only:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Segment the plant in a frame
+     * @param {HTMLCanvasElement|HTMLVideoElement|HTMLImageElement} source - Frame source
+     * @returns {Promise<{mask: HTMLCanvasElement, confidence: Float32Array, width: number, height: number, coverage: number}|null>}
+     *   Null when too little of the frame looks like a plant to make a useful cutout
+     */
+    async segment(source) {
+        const labels = await this.predictLabels(source);
+        const { width, height } = labels || this.getFrameSize(source);
+        const pixels = this.readPixels(source, width, height);
+
+        const confidence = this.computeConfidence(pixels, labels && labels.data);
+        const mask = this.createMask(confidence, width, height);
+        const coverage = mask.plantPixels / confidence.length;
+
+        if (coverage < CONFIG.segmentation.minCoverage) {
+            console.log(`Plant segmentation found too little vegetation (${(coverage * 100).toFixed(1)}%)`);
+            return null;
+        }
+
+        return {
+            mask: mask.canvas,
+            confidence,
+            width,
+            height,
+            coverage
+        };
+    }
+
+    /**
+     * Run DeepLab and read back the class label of every pixel
+     * @returns {Promise<{data: Int32Array, width: number, height: number}|null>} Null without a model
+     */
+    async predictLabels(source) {
+        if (!this.model) return null;
+
+        // predict() returns a [height, width] tensor of class ids at the model's input resolution
+        const tensor = this.model.predict(source);
+        const [height, width] = tensor.shape;
+        const data = await tensor.data();
+        tensor.dispose();
+
+        return { data, width, height };
+    }
+
+    /**
+     * Size to analyse the frame at when there is no model output to match
+     */
+    getFrameSize(source) {
+        const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+        const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+        const scale = Math.min(1, CONFIG.segmentation.maxSize / Math.max(sourceWidth, sourceHeight));
+
+        return {
+            width: Math.round(sourceWidth * scale),
+            height: Math.round(sourceHeight * scale)
+        };
+    }
+
+    /**
+     * Draw the source at the given size and return its RGBA pixels
+     * @returns {Uint8ClampedArray}
+     */
+    readPixels(source, width, height) {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+        }
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, width, height);
+
+        return ctx.getImageData(0, 0, width, height).data;
+    }
+
+    /**
+     * Combine class labels and the color index into a 0-1 plant confidence per pixel
+     * @param {Uint8ClampedArray} pixels - RGBA pixels
+     * @param {Int32Array|null} labels - DeepLab class ids, or null for color only
+     * @returns {Float32Array}
+     */
+    computeConfidence(pixels, labels) {
+        const { plantClass, plantClassConfidence } = CONFIG.segmentation;
+        const confidence = new Float32Array(pixels.length / 4);
+
+        for (let i = 0; i < confidence.length; i++) {
+            const label = labels ? labels[i] : 0;
+
+            if (label !== 0 && label !== plantClass) {
+                continue; // Some other object
+            }
+
+            const colorScore = this.vegetationScore(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+            confidence[i] = label === plantClass
+                ? Math.max(plantClassConfidence, colorScore)
+                : colorScore;
+        }
+
+        return confidence;
+    }
+
+    /**
+     * Excess Green index on chromatic coordinates, mapped to 0-1
+     * @param {number} r
+     * @param {number} g
+     * @param {number} b
+     * @returns {number}
+     */
+    vegetationScore(r, g, b) {
+        const { exgThreshold, exgRange, minBrightness } = CONFIG.segmentation;
+        const sum = r + g + b;
+
+        // Chromaticity is meaningless in near-black pixels
+        if (sum < minBrightness * 3) return 0;
+
+        const exg = (2 * g - r - b) / sum;
+        return Math.min(1, Math.max(0, (exg - exgThreshold) / exgRange));
+    }
+
+    /**
+     * Render the confidence map as a grayscale mask (three.js alphaMap reads the green channel)
+     * @returns {{canvas: HTMLCanvasElement, plantPixels: number}}
+     */
+    createMask(confidence, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const imageData = ctx.createImageData(width, height);
+        const data = imageData.data;
+        let plantPixels = 0;
+
+        for (let i = 0; i < confidence.length; i++) {
+            const pixelIndex = i * 4;
+            data[pixelIndex + 3] = 255;
+
+            if (confidence[i] >= CONFIG.segmentation.maskThreshold) {
+                const value = Math.round(confidence[i] * 255);
+                data[pixelIndex] = value;
+                data[pixelIndex + 1] = value;
+                data[pixelIndex + 2] = value;
+                plantPixels++;
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        return { canvas, plantPixels };
+    }
+}
+
+// Export singleton instance
+export const plantSegmenter = new PlantSegmenter();
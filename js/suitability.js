@@ -0,0 +1,164 @@
+// Suitability Module
+// Compares a plant's care ranges with the live conditions outside
+
+import { CONFIG } from '../config.js';
+import { apiService } from './api-service.js';
+
+// Verdict levels, mildest first
+const LEVELS = ['good', 'caution', 'poor'];
+
+class SuitabilityEngine {
+    /**
+     * Check how well current and upcoming outdoor conditions suit a plant
+     * @param {Object} plant - Plant record (used for its display name)
+     * @param {Object|null} care - Care profile from PlantDetector.getCare()
+     * @returns {Promise<Object|null>} Verdict (see evaluate), or null without care data or weather
+     */
+    async assess(plant, care) {
+        if (!care) return null;
+
+        try {
+            const location = await apiService.getLastKnownLocation();
+
+            // Only the current weather is required; the forecast and air quality refine the verdict
+            const [weather, forecast, airQuality] = await Promise.all([
+                apiService.getWeather(location.lat, location.lon),
+                apiService.getForecast(location.lat, location.lon).catch(error => {
+                    console.warn('Suitability check without forecast:', error);
+                    return null;
+                }),
+                apiService.getAirQuality(location.lat, location.lon).catch(error => {
+                    console.warn('Suitability check without air quality:', error);
+                    return null;
+                })
+            ]);
+
+            return this.evaluate(this.getPlantName(plant), care, { weather, forecast, airQuality });
+        } catch (error) {
+            console.warn('Suitability check failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Compare care ranges with conditions
+     * @param {string} name - Plant display name for messages
+     * @param {Object} care - Care profile ({ humidity, temperature: { min, max } })
+     * @param {{weather: Object, forecast: Object|null, airQuality: Object|null}} conditions
+     * @returns {{level: string, summary: string, issues: Array<{factor: string, level: string, message: string}>}}
+     *   level is 'good', 'caution' or 'poor'; issues are ordered worst first
+     */
+    evaluate(name, care, { weather, forecast, airQuality }) {
+        const settings = CONFIG.suitability;
+        const { min, max } = care.temperature;
+        const issues = [];
+        const temperature = Math.round(weather.temperature);
+
+        // Temperature now
+        if (weather.temperature < min) {
+            issues.push({
+                factor: 'temperature',
+                level: 'poor',
+                message: `Too cold for ${name} outdoors right now (${temperature}°C, needs ${min}°C or more)`
+            });
+        } else if (weather.temperature > max) {
+            issues.push({
+                factor: 'temperature',
+                level: 'poor',
+                message: `Too hot for ${name} outdoors right now (${temperature}°C, tolerates up to ${max}°C)`
+            });
+        } else if (weather.temperature < min + settings.temperatureMargin) {
+            issues.push({
+                factor: 'temperature',
+                level: 'caution',
+                message: `Getting cool for ${name} outdoors (${temperature}°C, needs ${min}°C or more)`
+            });
+        } else if (weather.temperature > max - settings.temperatureMargin) {
+            issues.push({
+                factor: 'temperature',
+                level: 'caution',
+                message: `Getting hot for ${name} outdoors (${temperature}°C, tolerates up to ${max}°C)`
+            });
+        }
+
+        // Coldest upcoming step, unless it is already too cold
+        const coldest = this.getColdestUpcoming(forecast);
+        if (coldest && coldest.temperature < min && weather.temperature >= min) {
+            issues.push({
+                factor: 'forecast',
+                level: 'poor',
+                message: `Too cold for ${name} outdoors ${this.describeWhen(coldest.time)} `
+                    + `(low of ${Math.round(coldest.temperature)}°C, needs ${min}°C or more)`
+            });
+        }
+
+        // Humidity
+        const minHumidity = settings.minHumidity[care.humidity];
+        if (minHumidity !== undefined && weather.humidity < minHumidity) {
+            issues.push({
+                factor: 'humidity',
+                level: 'caution',
+                message: `Air is drier than ${name} likes (${weather.humidity}%, prefers ${minHumidity}% or more)`
+            });
+        }
+
+        // Air quality (ozone and particulates damage leaves)
+        if (airQuality && airQuality.aqiUS >= settings.aqiCaution) {
+            issues.push({
+                factor: 'airQuality',
+                level: airQuality.aqiUS >= settings.aqiPoor ? 'poor' : 'caution',
+                message: `Unhealthy air (AQI ${airQuality.aqiUS}) can damage ${name}'s leaves`
+            });
+        }
+
+        issues.sort((a, b) => LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level));
+
+        return {
+            level: issues.length > 0 ? issues[0].level : 'good',
+            summary: issues.length > 0 ? issues[0].message : `Conditions outside suit ${name} right now`,
+            issues
+        };
+    }
+
+    /**
+     * Find the coldest forecast step within the lookahead window
+     * @param {Object|null} forecast - Forecast from APIService.getForecast()
+     * @returns {Object|null} Forecast entry
+     */
+    getColdestUpcoming(forecast) {
+        if (!forecast) return null;
+
+        const now = Date.now();
+        const until = now + CONFIG.suitability.lookaheadHours * 3600000;
+        const stepMs = forecast.stepHours * 3600000;
+
+        return forecast.entries
+            .filter(entry => entry.time + stepMs > now && entry.time <= until)
+            .reduce((coldest, entry) => (!coldest || entry.temperature < coldest.temperature ? entry : coldest), null);
+    }
+
+    /**
+     * Describe when a forecast step happens, e.g. "tonight"
+     * @param {number} time - Step time (ms)
+     * @returns {string}
+     */
+    describeWhen(time) {
+        const hour = new Date(time).getHours();
+        if (hour >= 18 || hour < 6) return 'tonight';
+
+        const hours = Math.max(1, Math.round((time - Date.now()) / 3600000));
+        return `in about ${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Short plant name for messages
+     * @param {Object} plant
+     * @returns {string}
+     */
+    getPlantName(plant) {
+        return plant.commonNames && plant.commonNames.length > 0 ? plant.commonNames[0] : plant.name;
+    }
+}
+
+// Export singleton instance
+export const suitabilityEngine = new SuitabilityEngine();
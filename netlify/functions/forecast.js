@@ -0,0 +1,103 @@
+// Netlify Function for Weather Forecast Data
+// Returns a time-ordered list of forecast steps shaped like weather.js responses
+
+const { providerFetch, isFixtureMode, ProviderError } = require('./utils/provider-fetch');
+const { checkRateLimit, rateLimitResponse } = require('./utils/rate-limit');
+
+// OpenWeatherMap's free forecast API returns 3-hour steps for up to 5 days
+const STEP_HOURS = 3;
+const STEP_MS = STEP_HOURS * 3600000;
+const DEFAULT_HOURS = 24;
+const MAX_HOURS = 120;
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    // Enforce per-client rate limit
+    const rateLimit = checkRateLimit(event, 'forecast');
+    if (!rateLimit.allowed) {
+        return rateLimitResponse(rateLimit);
+    }
+
+    try {
+        const { lat, lon, hours } = event.queryStringParameters || {};
+
+        if (!lat || !lon) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: 'Latitude and longitude are required' })
+            };
+        }
+
+        const requestedHours = Math.min(parseInt(hours, 10) || DEFAULT_HOURS, MAX_HOURS);
+        const count = Math.max(1, Math.ceil(requestedHours / STEP_HOURS));
+
+        // Call OpenWeatherMap Forecast API with secure API key
+        const response = await providerFetch(
+            'openweather-forecast',
+            event,
+            `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&cnt=${count}&appid=${process.env.OPENWEATHER_API_KEY}&units=metric`,
+            {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+
+        if (!response.ok) {
+            throw new ProviderError(`Forecast API error: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+
+        // Sample forecasts lie in the past; shift them so the first step is the current one
+        const offsetMs = isFixtureMode() && data.list.length > 0 ?
+            Math.floor(Date.now() / STEP_MS) * STEP_MS - data.list[0].dt * 1000 :
+            0;
+
+        // Extract relevant information for each forecast step
+        const forecastData = {
+            location: data.city ? data.city.name : null,
+            stepHours: STEP_HOURS,
+            entries: data.list.slice(0, count).map(entry => ({
+                time: entry.dt * 1000 + offsetMs,
+                temperature: entry.main.temp,
+                condition: entry.weather[0].main.toLowerCase(),
+                description: entry.weather[0].description,
+                humidity: entry.main.humidity,
+                pressure: entry.main.pressure,
+                windSpeed: entry.wind.speed,
+                precipitationProbability: entry.pop ?? 0
+            }))
+        };
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                ...rateLimit.headers,
+                'Cache-Control': 'public, max-age=1800' // Cache for 30 minutes
+            },
+            body: JSON.stringify(forecastData)
+        };
+
+    } catch (error) {
+        console.error('Forecast API error:', error);
+        return {
+            statusCode: error instanceof ProviderError ? error.status : 500,
+            body: JSON.stringify({
+                error: 'Failed to fetch forecast data',
+                message: error.message,
+                providerStatus: error.status // Only set for provider errors
+            })
+        };
+    }
+};
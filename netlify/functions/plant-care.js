@@ -0,0 +1,116 @@
+// Netlify Function for Plant Care Profiles
+// Looks up care data for a scientific name.
+//
+// Care data comes from a bundled dataset (data/plant-care.json) until a care
+// provider is integrated; species entries take precedence over genus entries.
+
+const careData = require('./data/plant-care.json');
+const { checkRateLimit, rateLimitResponse } = require('./utils/rate-limit');
+
+/**
+ * Reduce a scientific name to lowercase "genus species", dropping authors and hybrid markers
+ * @param {string} name - e.g. "Monstera deliciosa Liebm."
+ * @returns {string[]} Name parts, genus first
+ */
+function parseScientificName(name) {
+    return name
+        .toLowerCase()
+        .replace(/(^|\s)[×x](?=\s)/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2);
+}
+
+/**
+ * Find the care profile for a scientific name
+ * @param {string} name
+ * @returns {{profile: Object, matchedOn: string}|null}
+ */
+function findCareProfile(name) {
+    const [genus, species] = parseScientificName(name);
+
+    if (genus && species && careData.species[`${genus} ${species}`]) {
+        return { profile: careData.species[`${genus} ${species}`], matchedOn: 'species' };
+    }
+
+    if (genus && careData.genera[genus]) {
+        return { profile: careData.genera[genus], matchedOn: 'genus' };
+    }
+
+    return null;
+}
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    // Enforce per-client rate limit
+    const rateLimit = checkRateLimit(event, 'plant-care');
+    if (!rateLimit.allowed) {
+        return rateLimitResponse(rateLimit);
+    }
+
+    try {
+        const { name } = event.queryStringParameters || {};
+
+        if (!name || !name.trim()) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: 'Scientific name is required' })
+            };
+        }
+
+        const match = findCareProfile(name);
+
+        if (!match) {
+            return {
+                statusCode: 404,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*',
+                    ...rateLimit.headers
+                },
+                body: JSON.stringify({ error: `No care profile for "${name}"` })
+            };
+        }
+
+        const { profile, matchedOn } = match;
+
+        const careProfile = {
+            scientificName: name,
+            matchedOn: matchedOn,
+            light: profile.light,
+            watering: profile.watering,
+            humidity: profile.humidity,
+            temperature: profile.temperature,
+            toxicity: profile.toxicity,
+            source: 'local-dataset'
+        };
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                ...rateLimit.headers,
+                'Cache-Control': 'public, max-age=86400' // Care data rarely changes
+            },
+            body: JSON.stringify(careProfile)
+        };
+
+    } catch (error) {
+        console.error('Plant care error:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                error: 'Failed to load plant care data',
+                message: error.message
+            })
+        };
+    }
+};
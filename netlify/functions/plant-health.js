@@ -0,0 +1,82 @@
+// Netlify Function for Plant Health Assessment
+// Asks Plant.id which diseases, pests or abiotic problems a plant likely has
+
+const { normalizePlantIdHealth } = require('./utils/health-schema');
+const { providerFetch, ProviderError } = require('./utils/provider-fetch');
+const { checkRateLimit, rateLimitResponse } = require('./utils/rate-limit');
+const { parseImages } = require('./utils/plant-images');
+
+exports.handler = async (event, context) => {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    // Enforce per-client rate limit
+    const rateLimit = checkRateLimit(event, 'plant-health');
+    if (!rateLimit.allowed) {
+        return rateLimitResponse(rateLimit);
+    }
+
+    try {
+        const parsed = parseImages(JSON.parse(event.body));
+
+        if (parsed.error) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: parsed.error })
+            };
+        }
+
+        // Call Plant.id health assessment API with secure API key
+        const response = await providerFetch('plant-id-health', event, 'https://api.plant.id/v2/health_assessment', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Api-Key': process.env.PLANT_ID_API_KEY
+            },
+            body: JSON.stringify({
+                images: parsed.images.map(image => image.imageData),
+                modifiers: ['similar_images'],
+                disease_details: [
+                    'cause',
+                    'common_names',
+                    'classification',
+                    'description',
+                    'treatment',
+                    'url'
+                ]
+            })
+        });
+
+        if (!response.ok) {
+            throw new ProviderError(`Plant.id health API error: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                ...rateLimit.headers
+            },
+            body: JSON.stringify(normalizePlantIdHealth(data))
+        };
+
+    } catch (error) {
+        console.error('Plant health assessment error:', error);
+        return {
+            statusCode: error instanceof ProviderError ? error.status : 500,
+            body: JSON.stringify({
+                error: 'Failed to assess plant health',
+                message: error.message,
+                providerStatus: error.status // Only set for provider errors
+            })
+        };
+    }
+};
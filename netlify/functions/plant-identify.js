@@ -1,6 +1,11 @@
 // Netlify Function for Plant Identification
 // This keeps your API key secure on the server side
 
+const { normalizePlantId } = require('./utils/plant-schema');
+const { providerFetch, ProviderError } = require('./utils/provider-fetch');
+const { checkRateLimit, rateLimitResponse } = require('./utils/rate-limit');
+const { parseImages } = require('./utils/plant-images');
+
 exports.handler = async (event, context) => {
     // Only allow POST requests
     if (event.httpMethod !== 'POST') {
@@ -10,25 +15,33 @@ exports.handler = async (event, context) => {
         };
     }
 
+    // Enforce per-client rate limit
+    const rateLimit = checkRateLimit(event, 'plant-identify');
+    if (!rateLimit.allowed) {
+        return rateLimitResponse(rateLimit);
+    }
+
     try {
-        const { imageData } = JSON.parse(event.body);
+        const parsed = parseImages(JSON.parse(event.body));
 
-        if (!imageData) {
+        if (parsed.error) {
             return {
                 statusCode: 400,
-                body: JSON.stringify({ error: 'Image data is required' })
+                body: JSON.stringify({ error: parsed.error })
             };
         }
 
         // Call Plant.id API with secure API key
-        const response = await fetch('https://api.plant.id/v2/identify', {
+        const response = await providerFetch('plant-id', event, 'https://api.plant.id/v2/identify', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Api-Key': process.env.PLANT_ID_API_KEY
             },
             body: JSON.stringify({
-                images: [imageData],
+                // All photos of the plant go into one identification;
+                // Plant.id detects organs itself, so the tags are only used by PlantNet
+                images: parsed.images.map(image => image.imageData),
                 modifiers: ['similar_images'],
                 plant_details: [
                     'common_names',
@@ -41,7 +54,7 @@ exports.handler = async (event, context) => {
         });
 
         if (!response.ok) {
-            throw new Error(`Plant.id API error: ${response.status}`);
+            throw new ProviderError(`Plant.id API error: ${response.status}`, response.status);
         }
 
         const data = await response.json();
@@ -50,18 +63,20 @@ exports.handler = async (event, context) => {
             statusCode: 200,
             headers: {
                 'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
+                'Access-Control-Allow-Origin': '*',
+                ...rateLimit.headers
             },
-            body: JSON.stringify(data)
+            body: JSON.stringify(normalizePlantId(data))
         };
 
     } catch (error) {
         console.error('Plant identification error:', error);
         return {
-            statusCode: 500,
+            statusCode: error instanceof ProviderError ? error.status : 500,
             body: JSON.stringify({
                 error: 'Failed to identify plant',
-                message: error.message
+                message: error.message,
+                providerStatus: error.status // Only set for provider errors
             })
         };
     }
@@ -1,6 +1,11 @@
 // Netlify Function for PlantNet Identification
 // Acts as a fallback when Plant.id quota is reached
 
+const { normalizePlantNet } = require('./utils/plant-schema');
+const { providerFetch, ProviderError } = require('./utils/provider-fetch');
+const { checkRateLimit, rateLimitResponse } = require('./utils/rate-limit');
+const { parseImages } = require('./utils/plant-images');
+
 exports.handler = async (event, context) => {
     // Only allow POST requests
     if (event.httpMethod !== 'POST') {
@@ -10,55 +15,54 @@ exports.handler = async (event, context) => {
         };
     }
 
+    // Enforce per-client rate limit
+    const rateLimit = checkRateLimit(event, 'plantnet-identify');
+    if (!rateLimit.allowed) {
+        return rateLimitResponse(rateLimit);
+    }
+
     try {
-        const { imageData } = JSON.parse(event.body);
+        const parsed = parseImages(JSON.parse(event.body));
 
-        if (!imageData) {
+        if (parsed.error) {
             return {
                 statusCode: 400,
-                body: JSON.stringify({ error: 'Image data is required' })
+                body: JSON.stringify({ error: parsed.error })
             };
         }
 
-        // Convert base64 to buffer
-        const buffer = Buffer.from(imageData, 'base64');
-
-        // Create FormData for PlantNet API
-        // Note: In Node.js environment (Netlify Functions), we need to construct the multipart request manually
-        // or use a library. Here we'll use a simple boundary approach.
-        const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
-
-        let body = '';
-        body += `--${boundary}\r\n`;
-        body += 'Content-Disposition: form-data; name="images"; filename="plant.jpg"\r\n';
-        body += 'Content-Type: image/jpeg\r\n\r\n';
-
-        // We can't easily mix string and buffer in a string body, so we'll use the API key as a query param
-        // and send the image as a standard file upload if possible, but PlantNet accepts image url or file.
-        // Since we have base64, let's try to send it as a file.
-
-        // Alternative: Use the 'images' parameter with the base64 string if supported, 
-        // but PlantNet usually expects a file.
-
-        // Let's use a simpler approach: fetch with FormData if available, or construct the body.
-        // Since we are in Node, let's use the 'node-fetch' style or standard fetch if Node 18+.
-
         const apiKey = process.env.PLANTNET_API_KEY;
         const lang = 'en';
-        const url = `https://my-api.plantnet.org/v2/identify/all?api-key=${apiKey}&lang=${lang}`;
+        const url = `https://my-api.plantnet.org/v2/identify/all?api-key=${apiKey}&lang=${lang}&include-related-images=true`;
 
-        // Construct multipart body manually with Buffer
-        const preAmble = Buffer.from(
-            `--${boundary}\r\n` +
-            `Content-Disposition: form-data; name="images"; filename="plant.jpg"\r\n` +
-            `Content-Type: image/jpeg\r\n\r\n`
-        );
+        // Construct multipart body manually with Buffers: one "images" part per photo,
+        // followed by one "organs" part per photo in the same order
+        const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
+        const parts = [];
+
+        parsed.images.forEach((image, index) => {
+            parts.push(Buffer.from(
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="images"; filename="plant-${index}.jpg"\r\n` +
+                `Content-Type: image/jpeg\r\n\r\n`
+            ));
+            parts.push(Buffer.from(image.imageData, 'base64'));
+            parts.push(Buffer.from('\r\n'));
+        });
+
+        parsed.images.forEach(image => {
+            parts.push(Buffer.from(
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="organs"\r\n\r\n` +
+                `${image.organ}\r\n`
+            ));
+        });
 
-        const postAmble = Buffer.from(`\r\n--${boundary}--\r\n`);
+        parts.push(Buffer.from(`--${boundary}--\r\n`));
 
-        const finalBody = Buffer.concat([preAmble, buffer, postAmble]);
+        const finalBody = Buffer.concat(parts);
 
-        const response = await fetch(url, {
+        const response = await providerFetch('plantnet', event, url, {
             method: 'POST',
             headers: {
                 'Content-Type': `multipart/form-data; boundary=${boundary}`
@@ -67,7 +71,7 @@ exports.handler = async (event, context) => {
         });
 
         if (!response.ok) {
-            throw new Error(`PlantNet API error: ${response.status}`);
+            throw new ProviderError(`PlantNet API error: ${response.status}`, response.status);
         }
 
         const data = await response.json();
@@ -76,18 +80,20 @@ exports.handler = async (event, context) => {
             statusCode: 200,
             headers: {
                 'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
+                'Access-Control-Allow-Origin': '*',
+                ...rateLimit.headers
             },
-            body: JSON.stringify(data)
+            body: JSON.stringify(normalizePlantNet(data))
         };
 
     } catch (error) {
         console.error('PlantNet identification error:', error);
         return {
-            statusCode: 500,
+            statusCode: error instanceof ProviderError ? error.status : 500,
             body: JSON.stringify({
                 error: 'Failed to identify plant with PlantNet',
-                message: error.message
+                message: error.message,
+                providerStatus: error.status // Only set for provider errors
             })
         };
     }
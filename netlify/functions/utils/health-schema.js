@@ -0,0 +1,88 @@
+// Shared plant health assessment schema
+//
+// Response:
+// {
+//   provider: 'Plant.id',
+//   isHealthy: boolean,
+//   healthyProbability: number,     // 0-1
+//   issues: [Issue, ...]            // most likely first, at most MAX_ISSUES
+// }
+//
+// Issue:
+// {
+//   name: string,                   // display name (first common name or provider name)
+//   type: 'disease' | 'pest' | 'abiotic',
+//   probability: number,            // 0-1
+//   cause: string|null,             // causal organism, when known
+//   description: string|null,
+//   treatment: { prevention: string[], biological: string[], chemical: string[] },
+//   url: string|null,
+//   similarImages: [{ url, thumbnailUrl, similarity, citation }]
+// }
+
+const MAX_ISSUES = 5;
+
+/**
+ * Classify an issue from its taxonomy
+ * @param {string[]} classification - e.g. ['Animalia', 'Arthropoda', ...] or ['Abiotic']
+ * @returns {string} 'pest', 'abiotic' or 'disease'
+ */
+function getIssueType(classification) {
+    const ranks = (classification || []).map(rank => rank.toLowerCase());
+
+    if (ranks.includes('animalia')) return 'pest';
+    if (ranks.includes('abiotic')) return 'abiotic';
+    return 'disease';
+}
+
+/**
+ * Normalize a Plant.id v2 health_assessment response
+ * @param {Object} data - Raw Plant.id response
+ * @returns {Object} Normalized assessment
+ */
+function normalizePlantIdHealth(data) {
+    const assessment = (data && data.health_assessment) || {};
+    const diseases = assessment.diseases || [];
+
+    const issues = diseases.map(disease => {
+        const details = disease.disease_details || {};
+        const treatment = details.treatment || {};
+        const commonNames = (details.common_names || []).filter(Boolean);
+
+        return {
+            name: commonNames[0] || disease.name,
+            type: getIssueType(details.classification),
+            probability: typeof disease.probability === 'number' ? disease.probability : 0,
+            cause: details.cause || null,
+            description: details.description || null,
+            treatment: {
+                prevention: treatment.prevention || [],
+                biological: treatment.biological || [],
+                chemical: treatment.chemical || []
+            },
+            url: details.url || null,
+            similarImages: (disease.similar_images || []).map(image => ({
+                url: image.url,
+                thumbnailUrl: image.url_small || image.url,
+                similarity: image.similarity,
+                citation: image.citation || null
+            }))
+        };
+    });
+
+    return {
+        provider: 'Plant.id',
+        isHealthy: Boolean(assessment.is_healthy),
+        healthyProbability: typeof assessment.is_healthy_probability === 'number'
+            ? assessment.is_healthy_probability
+            : null,
+        issues: issues
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, MAX_ISSUES)
+    };
+}
+
+module.exports = {
+    MAX_ISSUES,
+    normalizePlantIdHealth
+};
@@ -0,0 +1,52 @@
+// Plant image request parsing
+// Identify functions accept several photos of the same plant, each tagged with an organ:
+//   { images: [{ imageData: '<base64>', organ: 'leaf' }, ...] }
+// The single-image form { imageData: '<base64>' } is still accepted (organ 'auto').
+
+// PlantNet organ names; 'habit' is the whole plant, 'auto' lets the provider decide
+const ORGANS = ['auto', 'leaf', 'flower', 'fruit', 'bark', 'habit'];
+
+// Both Plant.id and PlantNet accept at most 5 images per identification
+const MAX_IMAGES = 5;
+
+/**
+ * Parse and validate the images in an identify request body
+ * @param {Object} body - Parsed request body
+ * @returns {{images: Array<{imageData: string, organ: string}>}|{error: string}}
+ */
+function parseImages(body) {
+    const images = Array.isArray(body.images)
+        ? body.images
+        : (body.imageData ? [{ imageData: body.imageData, organ: 'auto' }] : []);
+
+    if (images.length === 0) {
+        return { error: 'Image data is required' };
+    }
+
+    if (images.length > MAX_IMAGES) {
+        return { error: `At most ${MAX_IMAGES} images are allowed` };
+    }
+
+    for (const image of images) {
+        if (!image || typeof image.imageData !== 'string' || !image.imageData) {
+            return { error: 'Each image needs base64 imageData' };
+        }
+
+        if (image.organ !== undefined && !ORGANS.includes(image.organ)) {
+            return { error: `Unknown organ "${image.organ}". Use one of: ${ORGANS.join(', ')}` };
+        }
+    }
+
+    return {
+        images: images.map(image => ({
+            imageData: image.imageData,
+            organ: image.organ || 'auto'
+        }))
+    };
+}
+
+module.exports = {
+    ORGANS,
+    MAX_IMAGES,
+    parseImages
+};
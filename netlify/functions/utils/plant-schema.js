@@ -0,0 +1,152 @@
+// Shared plant identification schema
+// Every identify function returns this shape so the client has a single code path
+//
+// Response:
+// {
+//   provider: 'Plant.id' | 'PlantNet' | ...,
+//   isPlant: boolean|null,          // null when the provider doesn't report it
+//   candidates: [Candidate, ...]    // best match first, at most MAX_CANDIDATES
+// }
+//
+// Candidate:
+// {
+//   name: string,                   // display name (first common name or scientific name)
+//   commonNames: string[],
+//   scientificName: string|null,
+//   family: string|null,
+//   taxonomy: { kingdom, phylum, class, order, family, genus },  // null for unknown ranks
+//   score: number,                  // 0-1 confidence
+//   description: string|null,
+//   url: string|null,               // reference page for the species
+//   edibleParts: string[],
+//   similarImages: [{ url, thumbnailUrl, similarity, citation }]
+// }
+
+const MAX_CANDIDATES = 5;
+
+/**
+ * Build a candidate with every schema field present
+ * @param {Object} fields - Known candidate fields
+ * @returns {Object} Normalized candidate
+ */
+function createCandidate(fields) {
+    const commonNames = (fields.commonNames || []).filter(Boolean);
+    const scientificName = fields.scientificName || null;
+    const taxonomy = {
+        kingdom: null,
+        phylum: null,
+        class: null,
+        order: null,
+        family: null,
+        genus: null,
+        ...(fields.taxonomy || {})
+    };
+
+    return {
+        name: commonNames[0] || scientificName || 'Unknown plant',
+        commonNames,
+        scientificName,
+        family: fields.family || taxonomy.family || null,
+        taxonomy,
+        score: typeof fields.score === 'number' ? fields.score : 0,
+        description: fields.description || null,
+        url: fields.url || null,
+        edibleParts: fields.edibleParts || [],
+        similarImages: fields.similarImages || []
+    };
+}
+
+/**
+ * Sort candidates by score and keep the top N
+ */
+function rankCandidates(candidates, limit = MAX_CANDIDATES) {
+    return candidates
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Normalize a Plant.id v2 identify response
+ * @param {Object} data - Raw Plant.id response
+ * @returns {Object} Normalized identification
+ */
+function normalizePlantId(data) {
+    const suggestions = (data && data.suggestions) || [];
+
+    const candidates = suggestions.map(suggestion => {
+        const details = suggestion.plant_details || {};
+        const taxonomy = details.taxonomy || {};
+
+        return createCandidate({
+            commonNames: details.common_names,
+            scientificName: details.scientific_name || suggestion.plant_name,
+            taxonomy: {
+                kingdom: taxonomy.kingdom || null,
+                phylum: taxonomy.phylum || null,
+                class: taxonomy.class || null,
+                order: taxonomy.order || null,
+                family: taxonomy.family || null,
+                genus: taxonomy.genus || null
+            },
+            score: suggestion.probability,
+            description: details.wiki_description?.value,
+            url: details.url,
+            edibleParts: details.edible_parts,
+            similarImages: (suggestion.similar_images || []).map(image => ({
+                url: image.url,
+                thumbnailUrl: image.url_small || image.url,
+                similarity: image.similarity,
+                citation: image.citation || null
+            }))
+        });
+    });
+
+    return {
+        provider: 'Plant.id',
+        isPlant: typeof data?.is_plant === 'boolean' ? data.is_plant : null,
+        candidates: rankCandidates(candidates)
+    };
+}
+
+/**
+ * Normalize a PlantNet v2 identify response
+ * @param {Object} data - Raw PlantNet response
+ * @returns {Object} Normalized identification
+ */
+function normalizePlantNet(data) {
+    const results = (data && data.results) || [];
+
+    const candidates = results.map(result => {
+        const species = result.species || {};
+        const family = species.family?.scientificNameWithoutAuthor || null;
+        const genus = species.genus?.scientificNameWithoutAuthor || null;
+
+        return createCandidate({
+            commonNames: species.commonNames,
+            scientificName: species.scientificNameWithoutAuthor,
+            taxonomy: { kingdom: 'Plantae', family, genus },
+            score: result.score,
+            url: result.gbif?.id ? `https://www.gbif.org/species/${result.gbif.id}` : null,
+            similarImages: (result.images || []).map(image => ({
+                url: image.url?.o || image.url?.m,
+                thumbnailUrl: image.url?.s || image.url?.m,
+                similarity: null,
+                citation: image.citation || null
+            }))
+        });
+    });
+
+    return {
+        provider: 'PlantNet',
+        isPlant: null,
+        candidates: rankCandidates(candidates)
+    };
+}
+
+module.exports = {
+    MAX_CANDIDATES,
+    createCandidate,
+    rankCandidates,
+    normalizePlantId,
+    normalizePlantNet
+};
@@ -0,0 +1,122 @@
+// Provider fetch helper
+// Calls the live provider API, or serves sample responses when API_MODE=fixtures
+//
+// Fixtures live in netlify/functions/fixtures/<provider>/<scenario>.json as
+// { "status": 200, "headers": { ... }, "body": { ... } }. They are hand-written, representative
+// sample responses in each provider's documented shape, not captures of real API traffic.
+//
+// Scenario selection (first match wins):
+//   1. `x-fixture-scenario` request header or `fixture` query parameter
+//   2. FIXTURE_SCENARIO env var, either one scenario for every provider ("quota")
+//      or a per-provider list ("plant-id=quota,openweather-weather=error")
+//   3. "success"
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const DEFAULT_SCENARIO = 'success';
+
+/**
+ * Check whether functions should serve fixtures instead of calling providers
+ * @returns {boolean}
+ */
+function isFixtureMode() {
+    return process.env.API_MODE === 'fixtures';
+}
+
+/**
+ * Resolve which fixture scenario to serve for a provider
+ * @param {string} provider - Fixture directory name
+ * @param {Object} event - Netlify function event
+ * @returns {string} Scenario name
+ */
+function resolveScenario(provider, event = {}) {
+    const headers = event.headers || {};
+    const query = event.queryStringParameters || {};
+    const requested = headers['x-fixture-scenario'] || query.fixture;
+    if (requested) return requested;
+
+    const configured = process.env.FIXTURE_SCENARIO;
+    if (!configured) return DEFAULT_SCENARIO;
+
+    if (!configured.includes('=')) return configured.trim();
+
+    for (const entry of configured.split(',')) {
+        const [name, scenario] = entry.split('=').map(part => part.trim());
+        if (name === provider && scenario) return scenario;
+    }
+
+    return DEFAULT_SCENARIO;
+}
+
+/**
+ * Load a sample provider response as a fetch Response
+ * @param {string} provider - Fixture directory name
+ * @param {string} scenario - Scenario name
+ * @returns {Response}
+ */
+function loadFixture(provider, scenario) {
+    // Scenario names come from request input, so keep them to plain file names
+    if (!/^[a-z0-9-]+$/i.test(scenario)) {
+        throw new Error(`Invalid fixture scenario: ${scenario}`);
+    }
+
+    const file = path.join(FIXTURES_DIR, provider, `${scenario}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No fixture for ${provider}/${scenario}`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    return new Response(JSON.stringify(fixture.body), {
+        status: fixture.status || 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(fixture.headers || {})
+        }
+    });
+}
+
+/**
+ * A provider answered with an error status
+ * Functions respond with the same status, so the client sees a provider's quota (429) or
+ * not-found (404) answer as such rather than as a generic 500
+ */
+class ProviderError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} status - Provider HTTP status
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+    }
+}
+
+/**
+ * Fetch from a provider API, or from fixtures in offline mode
+ * @param {string} provider - Fixture directory name for this provider endpoint
+ * @param {Object} event - Netlify function event (used for scenario selection)
+ * @param {string} url - Live provider URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+async function providerFetch(provider, event, url, options) {
+    if (isFixtureMode()) {
+        const scenario = resolveScenario(provider, event);
+        console.log(`Serving fixture ${provider}/${scenario}`);
+        return loadFixture(provider, scenario);
+    }
+
+    return fetch(url, options);
+}
+
+module.exports = {
+    ProviderError,
+    isFixtureMode,
+    resolveScenario,
+    loadFixture,
+    providerFetch
+};
@@ -0,0 +1,130 @@
+// Per-client rate limiting shared by all Netlify Functions
+// Reads RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_IDENTIFY_MAX_REQUESTS and RATE_LIMIT_WINDOW_MS
+// from the environment
+//
+// Best-effort only: counters live in memory, so each warm function instance
+// enforces the limit on its own and a cold start resets it. That slows down a
+// single client without needing an external store, but several instances
+// together can still let through more than the limit.
+
+const DEFAULT_MAX_REQUESTS = 100;
+const DEFAULT_IDENTIFY_MAX_REQUESTS = 5;
+const DEFAULT_WINDOW_MS = 900000; // 15 minutes
+
+// Functions that spend the small identification quotas (Plant.id: 100 a month)
+const IDENTIFY_SCOPES = ['plant-identify', 'plantnet-identify', 'plant-health'];
+
+// key -> { count, windowStart }
+const clients = new Map();
+
+/**
+ * Read limits from the environment
+ * @param {string} scope - Function name
+ * @returns {{maxRequests: number, windowMs: number}}
+ */
+function getLimits(scope) {
+    const identify = IDENTIFY_SCOPES.includes(scope);
+    const maxRequests = parseInt(identify ?
+        process.env.RATE_LIMIT_IDENTIFY_MAX_REQUESTS :
+        process.env.RATE_LIMIT_MAX_REQUESTS, 10);
+    const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10);
+    const defaultMaxRequests = identify ? DEFAULT_IDENTIFY_MAX_REQUESTS : DEFAULT_MAX_REQUESTS;
+
+    return {
+        maxRequests: maxRequests > 0 ? maxRequests : defaultMaxRequests,
+        windowMs: windowMs > 0 ? windowMs : DEFAULT_WINDOW_MS
+    };
+}
+
+/**
+ * Identify the calling client from request headers
+ * @param {Object} event - Netlify function event
+ * @returns {string} Client identifier
+ */
+function getClientId(event) {
+    const headers = event.headers || {};
+    const forwardedFor = headers['x-forwarded-for'];
+
+    return headers['x-nf-client-connection-ip'] ||
+        headers['client-ip'] ||
+        (forwardedFor && forwardedFor.split(',')[0].trim()) ||
+        'unknown';
+}
+
+/**
+ * Drop counters whose window has expired
+ */
+function pruneExpired(now, windowMs) {
+    for (const [key, entry] of clients) {
+        if (now - entry.windowStart >= windowMs) {
+            clients.delete(key);
+        }
+    }
+}
+
+/**
+ * Count a request against the client's budget for a function
+ * @param {Object} event - Netlify function event
+ * @param {string} scope - Function name, so each function has its own budget
+ * @returns {{allowed: boolean, retryAfter: number, headers: Object}}
+ */
+function checkRateLimit(event, scope) {
+    const { maxRequests, windowMs } = getLimits(scope);
+    const now = Date.now();
+    const key = `${scope}:${getClientId(event)}`;
+
+    pruneExpired(now, windowMs);
+
+    let entry = clients.get(key);
+    if (!entry) {
+        entry = { count: 0, windowStart: now };
+        clients.set(key, entry);
+    }
+
+    const resetMs = entry.windowStart + windowMs - now;
+    const retryAfter = Math.max(1, Math.ceil(resetMs / 1000));
+    const allowed = entry.count < maxRequests;
+
+    if (allowed) {
+        entry.count++;
+    }
+
+    return {
+        allowed,
+        retryAfter,
+        headers: {
+            'X-RateLimit-Limit': String(maxRequests),
+            'X-RateLimit-Remaining': String(Math.max(0, maxRequests - entry.count)),
+            'X-RateLimit-Reset': String(Math.ceil((entry.windowStart + windowMs) / 1000))
+        }
+    };
+}
+
+/**
+ * Build the 429 response for a rate-limited request
+ * @param {Object} limit - Result of checkRateLimit
+ * @returns {Object} Netlify function response
+ */
+function rateLimitResponse(limit) {
+    return {
+        statusCode: 429,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Expose-Headers': 'Retry-After',
+            'Retry-After': String(limit.retryAfter),
+            ...limit.headers
+        },
+        body: JSON.stringify({
+            error: 'Too many requests',
+            message: `Rate limit exceeded. Try again in ${limit.retryAfter} seconds.`,
+            retryAfter: limit.retryAfter
+        })
+    };
+}
+
+module.exports = {
+    getClientId,
+    checkRateLimit,
+    rateLimitResponse
+};
@@ -0,0 +1,174 @@
+// US EPA Air Quality Index calculation
+// Computes per-pollutant sub-indices from OpenWeatherMap concentrations (all in μg/m³)
+// and reports the overall AQI as the highest sub-index.
+//
+// OpenWeatherMap only provides current hourly concentrations, so these are applied
+// to the EPA averaging-period breakpoints as an approximation of the official AQI.
+
+// Molecular weights (g/mol) for converting μg/m³ to ppb at 25°C and 1 atm
+const MOLAR_VOLUME = 24.45;
+const MOLECULAR_WEIGHT = {
+    o3: 48.00,
+    no2: 46.01,
+    co: 28.01
+};
+
+// EPA breakpoints: rows of [concentration low, concentration high, AQI low, AQI high]
+// Units and truncation precision follow the EPA technical assistance document
+const BREAKPOINTS = {
+    // PM2.5, 24-hour, μg/m³ (2024 revision)
+    pm2_5: {
+        precision: 1,
+        tables: [[
+            [0.0, 9.0, 0, 50],
+            [9.1, 35.4, 51, 100],
+            [35.5, 55.4, 101, 150],
+            [55.5, 125.4, 151, 200],
+            [125.5, 225.4, 201, 300],
+            [225.5, 325.4, 301, 500]
+        ]]
+    },
+    // PM10, 24-hour, μg/m³
+    pm10: {
+        precision: 0,
+        tables: [[
+            [0, 54, 0, 50],
+            [55, 154, 51, 100],
+            [155, 254, 101, 150],
+            [255, 354, 151, 200],
+            [355, 424, 201, 300],
+            [425, 604, 301, 500]
+        ]]
+    },
+    // O3, ppm: 8-hour and 1-hour tables, the higher applicable index wins
+    o3: {
+        precision: 3,
+        tables: [
+            [
+                [0.000, 0.054, 0, 50],
+                [0.055, 0.070, 51, 100],
+                [0.071, 0.085, 101, 150],
+                [0.086, 0.105, 151, 200],
+                [0.106, 0.200, 201, 300]
+            ],
+            [
+                [0.125, 0.164, 101, 150],
+                [0.165, 0.204, 151, 200],
+                [0.205, 0.404, 201, 300],
+                [0.405, 0.604, 301, 500]
+            ]
+        ]
+    },
+    // NO2, 1-hour, ppb
+    no2: {
+        precision: 0,
+        tables: [[
+            [0, 53, 0, 50],
+            [54, 100, 51, 100],
+            [101, 360, 101, 150],
+            [361, 649, 151, 200],
+            [650, 1249, 201, 300],
+            [1250, 2049, 301, 500]
+        ]]
+    },
+    // CO, 8-hour, ppm
+    co: {
+        precision: 1,
+        tables: [[
+            [0.0, 4.4, 0, 50],
+            [4.5, 9.4, 51, 100],
+            [9.5, 12.4, 101, 150],
+            [12.5, 15.4, 151, 200],
+            [15.5, 30.4, 201, 300],
+            [30.5, 50.4, 301, 500]
+        ]]
+    }
+};
+
+const MAX_AQI = 500;
+
+/**
+ * Convert an OpenWeatherMap concentration (μg/m³) to the unit used by the EPA table
+ * @param {string} pollutant
+ * @param {number} microgramsPerCubicMeter
+ * @returns {number}
+ */
+function toBreakpointUnits(pollutant, microgramsPerCubicMeter) {
+    if (!MOLECULAR_WEIGHT[pollutant]) {
+        return microgramsPerCubicMeter; // Particulates are already in μg/m³
+    }
+
+    const ppb = microgramsPerCubicMeter * MOLAR_VOLUME / MOLECULAR_WEIGHT[pollutant];
+    return pollutant === 'no2' ? ppb : ppb / 1000; // O3 and CO use ppm
+}
+
+/**
+ * Truncate (not round) to the EPA precision for a pollutant
+ */
+function truncate(value, precision) {
+    const factor = Math.pow(10, precision);
+    return Math.floor(value * factor) / factor;
+}
+
+/**
+ * Interpolate the AQI within a breakpoint table
+ * @returns {number|null} AQI, or null if the value isn't covered by the table
+ */
+function interpolate(table, value) {
+    for (const [cLow, cHigh, iLow, iHigh] of table) {
+        if (value >= cLow && value <= cHigh) {
+            return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (value - cLow) + iLow);
+        }
+    }
+    return null;
+}
+
+/**
+ * Compute the AQI sub-index for one pollutant
+ * @param {string} pollutant - One of pm2_5, pm10, o3, no2, co
+ * @param {number} concentration - Concentration in μg/m³
+ * @returns {number|null} Sub-index 0-500, or null if the concentration is missing
+ */
+function calculateSubIndex(pollutant, concentration) {
+    if (typeof concentration !== 'number' || Number.isNaN(concentration)) {
+        return null;
+    }
+
+    const { precision, tables } = BREAKPOINTS[pollutant];
+    const value = truncate(Math.max(0, toBreakpointUnits(pollutant, concentration)), precision);
+
+    const indices = tables
+        .map(table => interpolate(table, value))
+        .filter(index => index !== null);
+
+    // Above the highest breakpoint: beyond the AQI scale
+    return indices.length > 0 ? Math.max(...indices) : MAX_AQI;
+}
+
+/**
+ * Compute the US AQI from all available pollutants
+ * @param {Object} components - OpenWeatherMap components (μg/m³)
+ * @returns {{aqi: number, dominantPollutant: string|null, subIndices: Object}}
+ */
+function calculateUSAQI(components) {
+    const subIndices = {};
+    let aqi = 0;
+    let dominantPollutant = null;
+
+    for (const pollutant of Object.keys(BREAKPOINTS)) {
+        const subIndex = calculateSubIndex(pollutant, components[pollutant]);
+        subIndices[pollutant] = subIndex;
+
+        if (subIndex !== null && (dominantPollutant === null || subIndex > aqi)) {
+            aqi = subIndex;
+            dominantPollutant = pollutant;
+        }
+    }
+
+    return { aqi, dominantPollutant, subIndices };
+}
+
+module.exports = {
+    calculateSubIndex,
+    calculateUSAQI
+};
@@ -1,6 +1,9 @@
 // Netlify Function for Weather Data
 // This keeps your API key secure on the server side
 
+const { providerFetch, ProviderError } = require('./utils/provider-fetch');
+const { checkRateLimit, rateLimitResponse } = require('./utils/rate-limit');
+
 exports.handler = async (event, context) => {
     // Only allow GET requests
     if (event.httpMethod !== 'GET') {
@@ -10,6 +13,12 @@ exports.handler = async (event, context) => {
         };
     }
 
+    // Enforce per-client rate limit
+    const rateLimit = checkRateLimit(event, 'weather');
+    if (!rateLimit.allowed) {
+        return rateLimitResponse(rateLimit);
+    }
+
     try {
         const { lat, lon } = event.queryStringParameters || {};
 
@@ -21,7 +30,9 @@ exports.handler = async (event, context) => {
         }
 
         // Call OpenWeatherMap API with secure API key
-        const response = await fetch(
+        const response = await providerFetch(
+            'openweather-weather',
+            event,
             `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${process.env.OPENWEATHER_API_KEY}&units=metric`,
             {
                 method: 'GET',
@@ -32,7 +43,7 @@ exports.handler = async (event, context) => {
         );
 
         if (!response.ok) {
-            throw new Error(`Weather API error: ${response.status}`);
+            throw new ProviderError(`Weather API error: ${response.status}`, response.status);
         }
 
         const data = await response.json();
@@ -53,6 +64,7 @@ exports.handler = async (event, context) => {
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*',
+                ...rateLimit.headers,
                 'Cache-Control': 'public, max-age=600' // Cache for 10 minutes
             },
             body: JSON.stringify(weatherData)
@@ -61,10 +73,11 @@ exports.handler = async (event, context) => {
     } catch (error) {
         console.error('Weather API error:', error);
         return {
-            statusCode: 500,
+            statusCode: error instanceof ProviderError ? error.status : 500,
             body: JSON.stringify({
                 error: 'Failed to fetch weather data',
-                message: error.message
+                message: error.message,
+                providerStatus: error.status // Only set for provider errors
             })
         };
     }
@@ -0,0 +1,67 @@
+// Replay recorded gesture sessions headless and compare with the gestures fired live
+//
+// Usage: npm run replay:gestures -- [session.json | directory ...] [--tolerance=<ms>]
+// Defaults to every session in gesture-sessions/. Exits non-zero if any session differs.
+
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { replaySession, compareEvents } from '../js/gesture-replay.js';
+import { SESSION_VERSION } from '../js/gesture-recorder.js';
+
+const args = process.argv.slice(2);
+const toleranceArg = args.find(arg => arg.startsWith('--tolerance='));
+const toleranceMs = toleranceArg ? Number(toleranceArg.split('=')[1]) : 0;
+const paths = args.filter(arg => !arg.startsWith('--'));
+
+/**
+ * Expand directories into the session files they contain
+ * @param {string[]} inputs
+ * @returns {string[]}
+ */
+function findSessions(inputs) {
+    return inputs.flatMap(input => {
+        if (!statSync(input).isDirectory()) return [input];
+
+        return readdirSync(input)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .map(name => join(input, name));
+    });
+}
+
+const inputs = paths.length > 0 ? paths : ['gesture-sessions'];
+const missingInput = inputs.find(input => !existsSync(input));
+if (missingInput) {
+    console.error(`No such session file or directory: ${missingInput}`);
+    process.exit(1);
+}
+
+const files = findSessions(inputs);
+let failures = 0;
+
+const describe = (event) => `${event.gesture}${event.hand ? ` (${event.hand})` : ''} at ${event.t}ms`;
+
+files.forEach(file => {
+    const session = JSON.parse(readFileSync(file, 'utf8'));
+
+    if (session.version !== SESSION_VERSION) {
+        console.log(`SKIP ${file}: unsupported session version ${session.version}`);
+        return;
+    }
+
+    const actual = replaySession(session);
+    const { missing, unexpected } = compareEvents(session.events, actual, toleranceMs);
+
+    if (missing.length === 0 && unexpected.length === 0) {
+        console.log(`PASS ${file} (${session.frames.length} frames, ${actual.length} gestures)`);
+        return;
+    }
+
+    failures++;
+    console.log(`FAIL ${file}`);
+    missing.forEach(event => console.log(`  missing    ${describe(event)}`));
+    unexpected.forEach(event => console.log(`  unexpected ${describe(event)}`));
+});
+
+console.log(`\n${files.length - failures}/${files.length} sessions match`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,339 @@
+// Build the synthetic gesture sessions in gesture-sessions/ for npm run replay:gestures
+//
+// Usage: node scripts/synthesize-gesture-sessions.mjs [output directory]
+//
+// Hands are posed from joint angles in the hand-local frame (see js/hand-pose.js), placed in the
+// image at a position, size and roll, and moved between poses over a short transition with a little
+// jitter. Each scenario lists the gesture starts it is meant to produce; the script refuses to write
+// a session whose replay produces anything else, so the recorded `events` are always the intended ones.
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { CONFIG } from '../config.js';
+import { FINGERS, analyzeHand } from '../js/hand-pose.js';
+import { getPoseFeatures } from '../js/gesture-classifier.js';
+import { replaySession } from '../js/gesture-replay.js';
+import { SESSION_VERSION } from '../js/gesture-recorder.js';
+
+const FRAME_MS = 50;
+const TRANSITION_MS = 150;
+const PRECISION = 10000;
+
+// Finger bases in palm lengths: x towards the thumb, y towards the fingers (the middle base defines y)
+const FINGER_BASES = {
+    index: { x: 0.28, y: 0.95 },
+    middle: { x: 0, y: 1 },
+    ring: { x: -0.24, y: 0.93 },
+    pinky: { x: -0.45, y: 0.82 }
+};
+const FINGER_LENGTHS = {
+    index: [0.42, 0.25, 0.2],
+    middle: [0.47, 0.28, 0.22],
+    ring: [0.43, 0.26, 0.21],
+    pinky: [0.33, 0.2, 0.18]
+};
+
+// Bend at each joint (knuckle first), in degrees towards the palm
+const BENDS = {
+    straight: [5, 5, 5],
+    relaxed: [30, 35, 25],
+    hooked: [20, 30, 20],
+    curled: [80, 90, 60]
+};
+
+// Thumb CMC, MCP, IP and tip
+const THUMBS = {
+    out: [[0.2, 0.25, 0.0], [0.42, 0.42, 0.02], [0.6, 0.55, 0.03], [0.75, 0.68, 0.03]],
+    relaxed: [[0.2, 0.25, 0.02], [0.38, 0.42, 0.08], [0.48, 0.55, 0.12], [0.53, 0.68, 0.15]],
+    tucked: [[0.2, 0.25, 0.05], [0.35, 0.5, 0.2], [0.2, 0.8, 0.45], [-0.05, 0.95, 0.55]],
+    overRing: [[0.2, 0.25, 0.05], [0.3, 0.5, 0.2], [0.05, 0.75, 0.45], [-0.2, 0.85, 0.5]]
+};
+
+const POSES = {
+    relaxed: { fingers: { index: 'relaxed', middle: 'relaxed', ring: 'relaxed', pinky: 'relaxed' }, thumb: 'relaxed' },
+    openHand: { fingers: { index: 'straight', middle: 'straight', ring: 'straight', pinky: 'straight' }, thumb: 'out' },
+    fist: { fingers: { index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' }, thumb: 'tucked' },
+    peace: { fingers: { index: 'straight', middle: 'straight', ring: 'curled', pinky: 'curled' }, thumb: 'overRing' },
+    pinch: { fingers: { index: 'hooked', middle: 'relaxed', ring: 'relaxed', pinky: 'relaxed' }, thumb: 'toIndex' },
+    rock: { fingers: { index: 'straight', middle: 'curled', ring: 'curled', pinky: 'straight' }, thumb: 'tucked' }
+};
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const scale = (a, factor) => ({ x: a.x * factor, y: a.y * factor, z: a.z * factor });
+const lerp = (a, b, amount) => add(scale(a, 1 - amount), scale(b, amount));
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const toPoint = ([x, y, z]) => ({ x, y, z });
+
+/**
+ * Landmarks of a pose in the hand-local frame
+ * @param {string} name - Key of POSES
+ * @returns {Array<{x: number, y: number, z: number}>} 21 points, in palm lengths
+ */
+function getLocalPose(name) {
+    const pose = POSES[name];
+    const points = new Array(21);
+    points[0] = { x: 0, y: 0, z: 0 };
+
+    Object.entries(FINGERS).forEach(([finger, indices]) => {
+        const base = FINGER_BASES[finger];
+        const along = Math.hypot(base.x, base.y);
+        let point = { x: base.x, y: base.y, z: 0 };
+        let angle = 0;
+
+        points[indices[0]] = point;
+        BENDS[pose.fingers[finger]].forEach((bend, joint) => {
+            angle += bend * Math.PI / 180;
+            const length = FINGER_LENGTHS[finger][joint];
+            point = add(point, {
+                x: base.x / along * Math.cos(angle) * length,
+                y: base.y / along * Math.cos(angle) * length,
+                z: Math.sin(angle) * length
+            });
+            points[indices[joint + 1]] = point;
+        });
+    });
+
+    if (pose.thumb === 'toIndex') {
+        // Thumb tip just touching the index tip, bowed out towards the thumb side
+        const cmc = toPoint(THUMBS.relaxed[0]);
+        const tip = add(points[8], { x: 0.03, y: 0, z: 0 });
+        [1, 2, 3, 4].forEach((index, step) => {
+            const point = lerp(cmc, tip, step / 3);
+            points[index] = add(point, { x: Math.sin(step / 3 * Math.PI) * 0.15, y: 0, z: 0 });
+        });
+    } else {
+        THUMBS[pose.thumb].forEach((point, step) => {
+            points[step + 1] = toPoint(point);
+        });
+    }
+
+    return points;
+}
+
+/**
+ * Place a hand-local pose in the image
+ * @param {Array<Object>} local - From getLocalPose
+ * @param {Object} placement
+ * @param {string} placement.hand - 'Left' or 'Right', as seen by the user
+ * @param {number} placement.x - Wrist position, in image heights from the left edge
+ * @param {number} placement.y - Wrist position, in image heights from the top
+ * @param {number} placement.size - Palm length in image heights
+ * @param {number} placement.roll - Degrees clockwise from fingers pointing up
+ * @param {number} aspectRatio - Image width / height
+ * @returns {Array<{x: number, y: number, z: number}>} MediaPipe normalized landmarks
+ */
+function toImage(local, { hand, x, y, size, roll }, aspectRatio) {
+    const radians = roll * Math.PI / 180;
+    const up = { x: Math.sin(radians), y: -Math.cos(radians), z: 0 };
+    const normal = { x: 0, y: 0, z: -1 }; // Palm towards the camera
+    const thumbSide = hand === 'Left' ? cross(up, normal) : cross(normal, up);
+
+    return local.map(point => {
+        const offset = add(add(scale(thumbSide, point.x), scale(up, point.y)), scale(normal, point.z));
+        return {
+            x: (x + offset.x * size) / aspectRatio,
+            y: y + offset.y * size,
+            z: offset.z * size / aspectRatio
+        };
+    });
+}
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32), so regenerated sessions are identical
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const round = value => Math.round(value * PRECISION) / PRECISION;
+
+/**
+ * Render a scenario's timeline into frames
+ * Each step moves every listed hand from its previous placement and pose to the step's over
+ * TRANSITION_MS (or the whole step, for `glide` steps), then holds; hands missing from a step are out of view.
+ * @param {Object} scenario
+ * @returns {Array<Object>} Session frames
+ */
+function renderFrames(scenario) {
+    const random = createRandom(scenario.seed || 1);
+    const frames = [];
+    const previous = {};
+    let t = 0;
+
+    scenario.timeline.forEach(step => {
+        const stepStart = t;
+        const transitionMs = step.glide ? step.ms : TRANSITION_MS;
+
+        for (; t < stepStart + step.ms; t += FRAME_MS) {
+            const progress = Math.min(1, (t - stepStart + FRAME_MS) / transitionMs);
+            const hands = [];
+            const handedness = [];
+
+            Object.entries(step.hands).forEach(([hand, target]) => {
+                const from = previous[hand] || target;
+                const placement = {
+                    hand,
+                    x: from.x + (target.x - from.x) * progress,
+                    y: from.y + (target.y - from.y) * progress,
+                    size: target.size || 0.25,
+                    roll: (from.roll || 0) + ((target.roll || 0) - (from.roll || 0)) * progress
+                };
+                const fromPose = getLocalPose(from.pose);
+                const local = getLocalPose(target.pose).map((point, index) => lerp(fromPose[index], point, progress));
+
+                hands.push(toImage(local, placement, scenario.aspectRatio).map(point => ({
+                    x: round(point.x + (random() - 0.5) * 0.002),
+                    y: round(point.y + (random() - 0.5) * 0.002),
+                    z: round(point.z + (random() - 0.5) * 0.002)
+                })));
+                // MediaPipe labels hands as if the image were mirrored; the default rear camera isn't
+                handedness.push(hand === 'Left' ? 'Right' : 'Left');
+            });
+
+            frames.push({ t, hands, handedness });
+        }
+
+        Object.keys(previous).forEach(hand => {
+            if (!step.hands[hand]) delete previous[hand];
+        });
+        Object.assign(previous, step.hands);
+    });
+
+    return frames;
+}
+
+/**
+ * Pose features of a pose at several rolls, as a trained custom gesture would hold them
+ */
+function trainSamples(pose, hand, aspectRatio) {
+    return [-30, -10, 0, 15, 35].map(roll => {
+        const landmarks = toImage(getLocalPose(pose), { hand, x: 0.8, y: 0.7, size: 0.25, roll }, aspectRatio);
+        return getPoseFeatures(analyzeHand(landmarks, hand, aspectRatio)).map(round);
+    });
+}
+
+const right = (pose, extra = {}) => ({ pose, x: 1.1, y: 0.75, ...extra });
+const left = (pose, extra = {}) => ({ pose, x: 0.6, y: 0.75, ...extra });
+
+const SCENARIOS = [
+    {
+        name: 'synthetic-right-hand-gestures',
+        aspectRatio: 16 / 9,
+        expect: [['pinch', 'Right'], ['peace', 'Right'], ['openHand', 'Right'], ['fist', 'Right']],
+        timeline: [
+            { ms: 500, hands: { Right: right('relaxed') } },
+            { ms: 600, hands: { Right: right('pinch') } },
+            { ms: 500, hands: { Right: right('relaxed') } },
+            { ms: 800, hands: { Right: right('peace') } },
+            { ms: 500, hands: { Right: right('relaxed') } },
+            { ms: 600, hands: { Right: right('openHand') } },
+            { ms: 500, hands: { Right: right('relaxed') } },
+            { ms: 700, hands: { Right: right('fist') } },
+            { ms: 500, hands: { Right: right('relaxed') } }
+        ]
+    },
+    {
+        name: 'synthetic-left-hand-rotated',
+        aspectRatio: 4 / 3,
+        seed: 2,
+        expect: [['openHand', 'Left'], ['pinch', 'Left'], ['fist', 'Left'], ['peace', 'Left']],
+        timeline: [
+            { ms: 500, hands: { Left: left('relaxed', { roll: -45 }) } },
+            { ms: 600, hands: { Left: left('openHand', { roll: -45 }) } },
+            { ms: 500, hands: { Left: left('relaxed', { roll: 30 }) } },
+            { ms: 600, hands: { Left: left('pinch', { roll: 30 }) } },
+            { ms: 500, hands: { Left: left('relaxed', { roll: 70 }) } },
+            { ms: 700, hands: { Left: left('fist', { roll: 70 }) } },
+            { ms: 500, hands: { Left: left('relaxed', { roll: -20 }) } },
+            { ms: 800, hands: { Left: left('peace', { roll: -20 }) } },
+            { ms: 500, hands: { Left: left('relaxed', { roll: -20 }) } }
+        ]
+    },
+    {
+        name: 'synthetic-spread',
+        aspectRatio: 16 / 9,
+        seed: 3,
+        // The two pinches make a spread, not orbs; a pinch with the other hand relaxed is still a pinch
+        expect: [['spread', 'both'], ['pinch', 'Right']],
+        timeline: [
+            { ms: 500, hands: { Left: left('relaxed', { x: 0.75 }), Right: right('relaxed', { x: 1.0 }) } },
+            { ms: 300, hands: { Left: left('pinch', { x: 0.75 }), Right: right('relaxed', { x: 1.0 }) } },
+            { ms: 400, hands: { Left: left('pinch', { x: 0.75 }), Right: right('pinch', { x: 1.0 }) } },
+            { ms: 800, glide: true, hands: { Left: left('pinch', { x: 0.45 }), Right: right('pinch', { x: 1.3 }) } },
+            { ms: 500, hands: { Left: left('relaxed', { x: 0.45 }), Right: right('relaxed', { x: 1.3 }) } },
+            { ms: 700, hands: { Left: left('relaxed', { x: 0.45 }), Right: right('pinch', { x: 1.3 }) } },
+            { ms: 500, hands: { Left: left('relaxed', { x: 0.45 }), Right: right('relaxed', { x: 1.3 }) } }
+        ]
+    },
+    {
+        name: 'synthetic-palms-together',
+        aspectRatio: 16 / 9,
+        seed: 4,
+        // Open palms coming together merge; they aren't two open hands on the way
+        expect: [['palmsTogether', 'both']],
+        timeline: [
+            { ms: 300, hands: { Left: left('relaxed', { x: 0.55 }), Right: right('relaxed', { x: 1.2 }) } },
+            { ms: 400, glide: true, hands: { Left: left('openHand', { x: 0.82 }), Right: right('openHand', { x: 0.94 }) } },
+            { ms: 600, hands: { Left: left('openHand', { x: 0.82 }), Right: right('openHand', { x: 0.94 }) } },
+            { ms: 500, hands: { Left: left('relaxed', { x: 0.55 }), Right: right('relaxed', { x: 1.2 }) } }
+        ]
+    },
+    {
+        name: 'synthetic-custom-gesture',
+        aspectRatio: 16 / 9,
+        seed: 5,
+        customGestures: [{ id: 'custom-rock', label: 'Rock on', pose: 'rock', hand: 'Right' }],
+        expect: [['custom-rock', 'Left'], ['fist', 'Left']],
+        timeline: [
+            { ms: 500, hands: { Left: left('relaxed') } },
+            { ms: 700, hands: { Left: left('rock', { roll: 20 }) } },
+            { ms: 500, hands: { Left: left('relaxed') } },
+            { ms: 700, hands: { Left: left('fist') } },
+            { ms: 500, hands: { Left: left('relaxed') } }
+        ]
+    }
+];
+
+const outputDir = process.argv[2] || 'gesture-sessions';
+mkdirSync(outputDir, { recursive: true });
+let failures = 0;
+
+SCENARIOS.forEach(scenario => {
+    const session = {
+        version: SESSION_VERSION,
+        recordedAt: '2026-01-01T00:00:00.000Z',
+        userAgent: 'synthetic (scripts/synthesize-gesture-sessions.mjs)',
+        gestures: { ...CONFIG.gestures },
+        aspectRatio: scenario.aspectRatio,
+        customGestures: (scenario.customGestures || []).map(({ id, label, pose, hand }) => ({
+            id,
+            label,
+            samples: trainSamples(pose, hand, scenario.aspectRatio)
+        })),
+        frames: renderFrames(scenario),
+        events: []
+    };
+
+    const events = replaySession(session).map(({ t, gesture, hand }) => ({ t, gesture, hand }));
+    const produced = events.map(event => `${event.gesture}/${event.hand}`).join(', ');
+    const expected = scenario.expect.map(([gesture, hand]) => `${gesture}/${hand}`).join(', ');
+
+    if (produced !== expected) {
+        failures++;
+        console.error(`FAIL ${scenario.name}: expected ${expected}, got ${produced || 'nothing'}`);
+        return;
+    }
+
+    session.events = events;
+    const file = join(outputDir, `${scenario.name}.json`);
+    writeFileSync(file, `${JSON.stringify(session)}\n`);
+    console.log(`Wrote ${file} (${session.frames.length} frames: ${produced})`);
+});
+
+process.exitCode = failures > 0 ? 1 : 0;